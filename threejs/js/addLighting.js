@@ -8,6 +8,7 @@ export class LightingManager {
     constructor(scene) {
         this.scene = scene;
         this.lights = {};
+        this.groundPlane = null;
         
         this.setupLighting();
         console.log('Lighting initialized successfully');
@@ -97,6 +98,7 @@ export class LightingManager {
         ground.receiveShadow = true;
         
         this.scene.add(ground);
+        this.groundPlane = ground;
         return ground;
     }
     
@@ -121,6 +123,13 @@ export class LightingManager {
         }
     }
     
+    // Method to switch off the stand-ins for light from the surroundings while an environment
+    // map provides it, the directional lights stay for shape and shadows
+    setEnvironmentLighting(enabled) {
+        this.lights.ambient.visible = !enabled;
+        this.lights.hemisphere.visible = !enabled;
+    }
+    
     // Method to toggle shadows
     toggleShadows(enabled) {
         if (this.lights.directional) {
@@ -143,6 +152,22 @@ export class LightingManager {
             this.scene.add(hemisphereLightHelper);
         }
     }
+    
+    // Clean up method, frees the shadow maps and the ground plane
+    destroy() {
+        Object.values(this.lights).forEach(light => {
+            if (light.shadow) {
+                light.shadow.dispose();
+            }
+            this.scene.remove(light);
+        });
+        
+        if (this.groundPlane) {
+            this.scene.remove(this.groundPlane);
+            this.groundPlane.geometry.dispose();
+            this.groundPlane.material.dispose();
+        }
+    }
 }
 
 // ES6 export (already done above) 
\ No newline at end of file
@@ -0,0 +1,296 @@
+/**
+ * Assembly Validation Module
+ */
+
+import * as THREE from 'three';
+
+// Default tolerance in meters: parts this close count as touching, overlaps this deep are ignored
+const DEFAULT_TOLERANCE = 0.005;
+
+// Overlaps up to this share of the larger part's extent are joints, like a leg sunk into the seat
+const JOINT_DEPTH_RATIO = 0.25;
+
+export class AssemblyValidator {
+    constructor(productCreator, interactionManager, root = document) {
+        this.productCreator = productCreator;
+        this.interactionManager = interactionManager;
+        this.materialStates = productCreator.materialStates;
+        
+        // Validation state
+        this.isActive = false;
+        this.tolerance = DEFAULT_TOLERANCE;
+        this.report = null;
+        this.flaggedParts = new Set();
+        
+        // UI elements
+        this.toggleButton = root.getElementById('validate-assembly');
+        this.panel = root.getElementById('validation-panel');
+        this.summaryElement = root.getElementById('validation-summary');
+        this.listElement = root.getElementById('validation-list');
+        this.toleranceInput = root.getElementById('validation-tolerance');
+        
+        this.toleranceInput.value = this.tolerance * 1000;
+        this.setupEventListeners();
+        
+        console.log('Assembly validator initialized successfully');
+    }
+    
+    setupEventListeners() {
+        // Store bound methods for proper cleanup
+        this.boundToggle = () => this.setActive(!this.isActive);
+        this.boundToleranceChange = () => this.setTolerance(Number(this.toleranceInput.value) / 1000);
+        this.boundRefresh = () => {
+            if (this.isActive) {
+                this.validate();
+            }
+        };
+        
+        this.toggleButton.addEventListener('click', this.boundToggle);
+        this.toleranceInput.addEventListener('change', this.boundToleranceChange);
+        
+        // Reconfigured, rebuilt or newly loaded parts need a fresh check
+        this.interactionManager.addEventListener('partschange', this.boundRefresh);
+    }
+    
+    setActive(active) {
+        this.isActive = active;
+        this.toggleButton.classList.toggle('active', active);
+        this.panel.classList.toggle('hidden', !active);
+        
+        if (active) {
+            this.validate();
+        } else {
+            this.report = null;
+            this.setFlaggedParts([]);
+        }
+    }
+    
+    setTolerance(tolerance) {
+        if (!(tolerance >= 0)) {
+            throw new Error(`Invalid validation tolerance: ${tolerance}`);
+        }
+        
+        this.tolerance = tolerance;
+        this.toleranceInput.value = tolerance * 1000;
+        
+        if (this.isActive) {
+            this.validate();
+        }
+    }
+    
+    // Method to check every pair of parts for overlaps, and find parts not connected to the rest
+    validate() {
+        const parts = this.productCreator.getInteractiveParts();
+        const boxes = this.productCreator.withAssembledParts(() => {
+            this.productCreator.getProductGroup().updateMatrixWorld(true);
+            return parts.map(part => this.getOrientedBox(part));
+        });
+        
+        const overlaps = [];
+        const links = parts.map(() => []);
+        let jointCount = 0;
+        
+        for (let a = 0; a < parts.length; a++) {
+            for (let b = a + 1; b < parts.length; b++) {
+                // Boxes apart by more than the tolerance can't touch
+                if (this.getBoundsDistance(boxes[a].bounds, boxes[b].bounds) > this.tolerance) continue;
+                
+                const { distance, axis } = this.getSeparation(boxes[a], boxes[b]);
+                if (distance > this.tolerance) continue;
+                
+                links[a].push(b);
+                links[b].push(a);
+                
+                // Deep overlaps go through a large part of a part, shallow ones are how parts are joined
+                const depth = -distance;
+                const extent = 2 * Math.max(this.getRadius(boxes[a], axis), this.getRadius(boxes[b], axis));
+                if (depth > this.tolerance && depth > extent * JOINT_DEPTH_RATIO) {
+                    overlaps.push({ parts: [parts[a], parts[b]], depth });
+                } else {
+                    jointCount++;
+                }
+            }
+        }
+        
+        const disconnected = this.findDisconnectedParts(parts, links, boxes);
+        
+        this.report = { overlaps, disconnected, jointCount, partCount: parts.length };
+        this.setFlaggedParts([
+            ...overlaps.flatMap(issue => issue.parts),
+            ...disconnected.flatMap(issue => issue.parts)
+        ]);
+        this.renderReport();
+        
+        console.log(`Assembly check: ${overlaps.length} overlaps, ${disconnected.length} disconnected groups, ${jointCount} joints`);
+        return this.report;
+    }
+    
+    // Method to get a part's geometry bounds as an oriented box in productGroup space
+    getOrientedBox(part) {
+        if (!part.geometry.boundingBox) {
+            part.geometry.computeBoundingBox();
+        }
+        
+        const partToGroup = this.productCreator.getProductGroup().matrixWorld.clone().invert().multiply(part.matrixWorld);
+        const localBox = part.geometry.boundingBox;
+        const center = localBox.getCenter(new THREE.Vector3()).applyMatrix4(partToGroup);
+        const halfSize = localBox.getSize(new THREE.Vector3()).multiplyScalar(0.5);
+        
+        // Scaled basis vectors of the part, split into unit axes and half extents
+        const axes = [new THREE.Vector3(), new THREE.Vector3(), new THREE.Vector3()];
+        partToGroup.extractBasis(...axes);
+        const halfExtents = axes.map((axis, index) => {
+            const length = axis.length();
+            axis.divideScalar(length || 1);
+            return halfSize.getComponent(index) * length;
+        });
+        
+        return { center, axes, halfExtents, bounds: localBox.clone().applyMatrix4(partToGroup) };
+    }
+    
+    getBoundsDistance(a, b) {
+        const gap = new THREE.Vector3(
+            Math.max(0, a.min.x - b.max.x, b.min.x - a.max.x),
+            Math.max(0, a.min.y - b.max.y, b.min.y - a.max.y),
+            Math.max(0, a.min.z - b.max.z, b.min.z - a.max.z)
+        );
+        return gap.length();
+    }
+    
+    // Method to find how far apart two oriented boxes are with the separating axis test.
+    // Positive distances are the gap between them, negative ones how deep they overlap
+    getSeparation(a, b) {
+        const offset = b.center.clone().sub(a.center);
+        const candidates = [...a.axes, ...b.axes];
+        a.axes.forEach(axisA => b.axes.forEach(axisB => {
+            const cross = axisA.clone().cross(axisB);
+            
+            // Parallel edges add no new axis
+            if (cross.lengthSq() > 1e-10) {
+                candidates.push(cross.normalize());
+            }
+        }));
+        
+        return candidates.reduce((best, axis) => {
+            const distance = Math.abs(offset.dot(axis)) - this.getRadius(a, axis) - this.getRadius(b, axis);
+            return distance > best.distance ? { distance, axis } : best;
+        }, { distance: -Infinity, axis: null });
+    }
+    
+    // Method to get half the extent of an oriented box along an axis
+    getRadius(box, axis) {
+        return box.axes.reduce((sum, boxAxis, index) => sum + box.halfExtents[index] * Math.abs(boxAxis.dot(axis)), 0);
+    }
+    
+    // Method to find groups of touching parts outside the main assembly, with their nearest gap to it
+    findDisconnectedParts(parts, links, boxes) {
+        const component = new Array(parts.length).fill(-1);
+        const components = [];
+        
+        parts.forEach((_, start) => {
+            if (component[start] !== -1) return;
+            
+            const members = [];
+            const stack = [start];
+            component[start] = components.length;
+            
+            while (stack.length > 0) {
+                const index = stack.pop();
+                members.push(index);
+                
+                links[index].forEach(next => {
+                    if (component[next] === -1) {
+                        component[next] = components.length;
+                        stack.push(next);
+                    }
+                });
+            }
+            
+            components.push(members);
+        });
+        
+        // The main assembly is the group with the most parts, the bulkiest one on a tie
+        const bulk = members => members.reduce((sum, index) => {
+            const size = boxes[index].bounds.getSize(new THREE.Vector3());
+            return sum + size.x * size.y * size.z;
+        }, 0);
+        const main = components.reduce((best, members) =>
+            members.length > best.length || (members.length === best.length && bulk(members) > bulk(best)) ? members : best, []);
+        
+        return components.filter(members => members !== main).map(members => {
+            let gap = { distance: Infinity, part: null, neighbour: null };
+            
+            members.forEach(index => main.forEach(mainIndex => {
+                const { distance } = this.getSeparation(boxes[index], boxes[mainIndex]);
+                if (distance < gap.distance) {
+                    gap = { distance, part: parts[index], neighbour: parts[mainIndex] };
+                }
+            }));
+            
+            return { parts: members.map(index => parts[index]), gap };
+        });
+    }
+    
+    setFlaggedParts(parts) {
+        const flagged = new Set(parts);
+        
+        this.flaggedParts.forEach(part => {
+            if (!flagged.has(part)) {
+                this.materialStates.setState(part, 'flagged', false);
+            }
+        });
+        flagged.forEach(part => this.materialStates.setState(part, 'flagged', true));
+        
+        this.flaggedParts = flagged;
+    }
+    
+    renderReport() {
+        const { overlaps, disconnected, jointCount, partCount } = this.report;
+        const issueCount = overlaps.length + disconnected.length;
+        const formatDistance = distance => `${(distance * 1000).toFixed(1)} mm`;
+        const name = part => this.productCreator.getPartInfo(part).name;
+        const joints = `${jointCount} joint${jointCount === 1 ? '' : 's'}`;
+        
+        this.summaryElement.textContent = issueCount === 0 ?
+            `All ${partCount} parts fit together, ${joints}` :
+            `${issueCount} issue${issueCount === 1 ? '' : 's'} in ${partCount} parts, ${joints}`;
+        
+        const items = [
+            ...overlaps.map(({ parts, depth }) => ({
+                kind: 'Overlap',
+                part: parts[0],
+                text: `${name(parts[0])} and ${name(parts[1])} overlap by ${formatDistance(depth)}`
+            })),
+            ...disconnected.map(({ parts, gap }) => ({
+                kind: 'Floating',
+                part: gap.part,
+                text: `${parts.map(name).join(', ')} not connected, ${formatDistance(gap.distance)} gap between ${name(gap.part)} and ${name(gap.neighbour)}`
+            }))
+        ];
+        
+        this.listElement.replaceChildren(...items.map(({ kind, part, text }) => {
+            const item = document.createElement('li');
+            item.className = 'validation-issue';
+            item.title = 'Select the part';
+            
+            const label = document.createElement('span');
+            label.className = 'validation-kind';
+            label.textContent = kind;
+            
+            item.append(label, text);
+            item.addEventListener('click', () => this.interactionManager.selectObject(part));
+            return item;
+        }));
+    }
+    
+    // Clean up method
+    destroy() {
+        this.setActive(false);
+        
+        this.toggleButton.removeEventListener('click', this.boundToggle);
+        this.toleranceInput.removeEventListener('change', this.boundToleranceChange);
+        this.interactionManager.removeEventListener('partschange', this.boundRefresh);
+    }
+}
+
+// ES6 export (already done above) 
\ No newline at end of file
@@ -5,7 +5,7 @@
 import * as THREE from 'three';
 
 export class CameraAnimator {
-    constructor(camera, controls, target = new THREE.Vector3(0, 1, 0)) {
+    constructor(camera, controls, target = new THREE.Vector3(0, 1, 0), root = document) {
         this.camera = camera;
         this.controls = controls;
         this.target = target;
@@ -33,9 +33,13 @@ export class CameraAnimator {
         // Time tracking for smooth rotation
         this.lastTime = 0;
         
+        // Camera fly-to state (reset and product re-targeting)
+        this.isAnimating = false;
+        this.framingMargin = 2; // distance / bounding-sphere fit, frames the chair like the start view
+        
         // UI elements
-        this.toggleButton = document.getElementById('toggle-rotation');
-        this.resetButton = document.getElementById('reset-camera');
+        this.toggleButton = root.getElementById('toggle-rotation');
+        this.resetButton = root.getElementById('reset-camera');
         
         this.setupEventListeners();
         this.setupControlsListeners();
@@ -261,6 +265,11 @@ export class CameraAnimator {
         console.log('Updated current angle:', this.currentAngle, 'radius:', this.radius);
     }
     
+    // Method to tell whether the camera moves on its own, counting the wait before auto-rotation resumes
+    hasRunningAnimation() {
+        return this.isAutoRotating || this.isAnimating || (this.userInteracting && this.wasAutoRotatingBeforeInteraction);
+    }
+    
     shouldResumeAutoRotation() {
         // Only resume if auto-rotation was originally enabled before interaction
         return this.wasAutoRotatingBeforeInteraction;
@@ -325,11 +334,16 @@ export class CameraAnimator {
         });
     }
     
-    animateToPosition(targetPosition, onComplete) {
+    animateToPosition(targetPosition, onComplete, lookAtTarget = this.target) {
         const startPosition = this.camera.position.clone();
+        const startLookAt = this.controls.target.clone();
+        const lookAt = new THREE.Vector3();
         const duration = 1000; // 1 second
         const startTime = Date.now();
         
+        // Keep auto-rotation and controls from fighting the fly-to
+        this.isAnimating = true;
+        
         const animate = () => {
             const elapsed = Date.now() - startTime;
             const progress = Math.min(elapsed / duration, 1);
@@ -337,24 +351,62 @@ export class CameraAnimator {
             // Easing function (ease-out)
             const easeOut = 1 - Math.pow(1 - progress, 3);
             
-            // Interpolate position
+            // Interpolate position and the point the camera looks at
             this.camera.position.lerpVectors(startPosition, targetPosition, easeOut);
-            this.camera.lookAt(this.target);
+            this.camera.lookAt(lookAt.lerpVectors(startLookAt, lookAtTarget, easeOut));
             
             if (progress < 1) {
                 requestAnimationFrame(animate);
-            } else if (onComplete) {
-                onComplete();
+            } else {
+                this.isAnimating = false;
+                if (onComplete) {
+                    onComplete();
+                }
             }
         };
         
         animate();
     }
     
+    // Method to re-target the camera on a product's center and size
+    frameProduct(bounds) {
+        const center = bounds.getCenter(new THREE.Vector3());
+        const radius = bounds.getSize(new THREE.Vector3()).length() / 2;
+        
+        // Fit the bounding sphere in the vertical field of view
+        const halfFov = THREE.MathUtils.degToRad(this.camera.fov) / 2;
+        const distance = (radius / Math.sin(halfFov)) * this.framingMargin;
+        
+        // Approach from the same direction as the start view
+        const direction = this.initialPosition.clone().sub(this.target).normalize();
+        const position = center.clone().addScaledVector(direction, distance);
+        
+        // Scale orbit limits with the product, same ratios as SceneManager's 3-15 range
+        this.controls.minDistance = distance * 0.4;
+        this.controls.maxDistance = distance * 2;
+        
+        this.target.copy(center);
+        this.initialPosition.copy(position);
+        this.initialAngle = Math.atan2(direction.z, direction.x);
+        
+        this.animateToPosition(position, () => {
+            this.controls.target.copy(this.target);
+            this.controls.update();
+            this.updateCurrentAngle();
+            
+            this.initialRadius = this.radius;
+            this.initialHeight = this.height;
+            console.log('Camera framed product at', center, 'distance', distance.toFixed(2));
+        });
+    }
+    
     update(deltaTime) {
         // Get current time for consistent rotation speed
         const currentTime = performance.now();
         
+        // Fly-to animations drive the camera themselves
+        if (this.isAnimating) return;
+        
         if (this.isAutoRotating && !this.userInteracting && !this.isMouseDown) {
             // Auto-rotation mode - disable controls to prevent conflicts
             this.controls.enabled = false;
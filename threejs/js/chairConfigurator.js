@@ -0,0 +1,76 @@
+/**
+ * Chair Configurator Module
+ */
+
+import { DEFAULT_CHAIR_PARAMETERS } from './createProduct.js';
+
+export class ChairConfigurator {
+    constructor(productCreator, interactionManager, root = document) {
+        this.productCreator = productCreator;
+        this.interactionManager = interactionManager;
+        
+        // UI elements
+        this.panel = root.getElementById('configurator');
+        this.inputs = Array.from(this.panel.querySelectorAll('[data-parameter]'));
+        
+        this.resetInputs();
+        this.setupEventListeners();
+        this.setEnabled(this.productCreator.isConfigurable());
+        
+        console.log('Chair configurator initialized successfully');
+    }
+    
+    setupEventListeners() {
+        // Store bound method for proper cleanup
+        this.boundParameterChange = (event) => this.onParameterChange(event.target);
+        
+        // Rebuild live while sliders are dragged
+        this.inputs.forEach(input => {
+            input.addEventListener('input', this.boundParameterChange);
+        });
+    }
+    
+    resetInputs() {
+        this.inputs.forEach(input => {
+            const value = DEFAULT_CHAIR_PARAMETERS[input.dataset.parameter];
+            
+            if (input.type === 'checkbox') {
+                input.checked = value;
+            } else {
+                input.value = value;
+            }
+            this.updateOutput(input.dataset.parameter, value);
+        });
+    }
+    
+    onParameterChange(input) {
+        const parameter = input.dataset.parameter;
+        const value = input.type === 'checkbox' ? input.checked : Number(input.value);
+        
+        this.updateOutput(parameter, value);
+        
+        this.productCreator.configureChair({ [parameter]: value });
+        this.interactionManager.syncProductParts();
+    }
+    
+    updateOutput(parameter, value) {
+        const output = this.panel.querySelector(`[data-output="${parameter}"]`);
+        if (!output) return;
+        
+        output.textContent = Number.isInteger(value) ? value : value.toFixed(2);
+    }
+    
+    // Method to show the panel only while the chair is on display
+    setEnabled(enabled) {
+        this.panel.classList.toggle('hidden', !enabled);
+    }
+    
+    // Clean up method
+    destroy() {
+        this.inputs.forEach(input => {
+            input.removeEventListener('input', this.boundParameterChange);
+        });
+    }
+}
+
+// ES6 export (already done above) 
\ No newline at end of file
@@ -3,14 +3,73 @@
  */
 
 import * as THREE from 'three';
+import { GLTFLoader } from 'three/addons/loaders/GLTFLoader.js';
+import { ProductDefinitionValidator } from './productDefinition.js';
+import { MATERIAL_CATALOG, MATERIAL_PRICE_CURRENCY, getMaterialVariant } from './materialCatalog.js';
+import { ProceduralTextures } from './proceduralTextures.js';
+import { MaterialStateManager } from './materialStates.js';
+import chairDefinition from '../products/chair.json';
 
-export class ProductCreator {
+// Keywords used to derive a partType from glTF node names, checked in order
+const PART_TYPE_KEYWORDS = ['backrest', 'armrest', 'support', 'seat', 'leg'];
+
+// Defaults reproduce products/chair.json
+export const DEFAULT_CHAIR_PARAMETERS = {
+    seatWidth: 2,
+    seatDepth: 2,
+    seatHeight: 1,
+    legThickness: 0.1,
+    backrestHeight: 2,
+    armrests: true,
+    supportBars: 3
+};
+
+const CHAIR_SECTIONS = ['seat', 'backrest', 'supports', 'legs', 'armrests'];
+
+// Sections that have to be regenerated when a parameter changes
+const CHAIR_PARAMETER_SECTIONS = {
+    seatWidth: CHAIR_SECTIONS,
+    seatDepth: CHAIR_SECTIONS,
+    seatHeight: CHAIR_SECTIONS,
+    legThickness: ['legs'],
+    backrestHeight: ['backrest', 'supports'],
+    armrests: ['armrests'],
+    supportBars: ['supports']
+};
+
+// Dispatches 'variantchange' ({ slot, variantId }) when a material variant is switched
+export class ProductCreator extends THREE.EventDispatcher {
     constructor(scene) {
+        super();
+        
         this.scene = scene;
         this.productGroup = new THREE.Group();
         this.productParts = [];
+        this.textures = new ProceduralTextures();
         this.materials = this.createMaterials();
         
+        // Hover, selection, isolation and ghosting layered over the slot materials
+        this.materialStates = new MaterialStateManager();
+        
+        // Geometries shared by parts with identical geometry definitions, keyed by the definition,
+        // and how many parts use each. Kept out of geometry.userData, which exporters write out
+        this.geometryCache = new Map();
+        this.geometryUsers = new Map();
+        this.geometryVolumes = new WeakMap();
+        
+        // Largest dimension of a loaded model, matches the built-in chair
+        // so the camera limits in SceneManager still frame the product
+        this.modelFitSize = 3;
+        
+        // Definition the current product was built from, null for loaded models
+        this.productDefinition = null;
+        
+        // Joints of the current product by name, each a group turning its parts about a pivot
+        this.joints = new Map();
+        
+        // Parameters of the configurable chair, null while another product is shown
+        this.chairParameters = null;
+        
         this.createChair();
         this.scene.add(this.productGroup);
         
@@ -18,142 +77,813 @@ export class ProductCreator {
     }
     
     createMaterials() {
-        return {
-            wood: new THREE.MeshStandardMaterial({
-                color: 0x8B4513,
-                roughness: 0.8,
-                metalness: 0.1
-            }),
-            cushion: new THREE.MeshStandardMaterial({
-                color: 0x4169E1,
-                roughness: 0.6,
-                metalness: 0.0
-            }),
-            metal: new THREE.MeshStandardMaterial({
-                color: 0x888888,
-                roughness: 0.3,
-                metalness: 0.7
-            })
-        };
+        // One shared material per slot, variants are applied to it in place
+        // so every part using the slot follows the chosen variant
+        this.materialVariants = {};
+        const materials = {};
+        
+        Object.entries(MATERIAL_CATALOG).forEach(([slot, catalog]) => {
+            // Cached procedural maps, shared by every part and variant of the slot
+            materials[slot] = new THREE.MeshStandardMaterial({
+                name: slot,
+                ...this.textures.get(catalog.texture)
+            });
+            this.applyMaterialVariant(materials[slot], slot, catalog.defaultVariant);
+        });
+        
+        return materials;
     }
     
-    createChair() {
-        // Chair seat
-        this.createSeat();
+    // Method to switch the variant of a material slot, e.g. setMaterialVariant('wood', 'walnut')
+    setMaterialVariant(slot, variantId) {
+        if (!this.materials[slot]) {
+            throw new Error(`Unknown material slot: ${slot}`);
+        }
+        
+        const variant = this.applyMaterialVariant(this.materials[slot], slot, variantId);
         
-        // Chair back
-        this.createBackrest();
+        // Highlighted parts show copies of the slot material that need the new variant too
+        this.materialStates.refresh();
+        
+        this.dispatchEvent({ type: 'variantchange', slot, variantId });
+        return variant;
+    }
+    
+    applyMaterialVariant(material, slot, variantId) {
+        const variant = getMaterialVariant(slot, variantId);
         
-        // Chair legs
-        this.createLegs();
+        material.color.setHex(variant.color);
+        material.roughness = variant.roughness;
+        material.metalness = variant.metalness;
         
-        // Chair arms
-        this.createArmrests();
+        this.materialVariants[slot] = variantId;
+        return variant;
+    }
+    
+    createChair() {
+        this.loadDefinition(chairDefinition);
         
         // Position the entire chair at origin for proper rotation
         this.productGroup.position.set(0, 0, 0);
     }
     
-    createSeat() {
-        const seatGeometry = new THREE.BoxGeometry(2, 0.2, 2);
-        const seat = new THREE.Mesh(seatGeometry, this.materials.cushion);
+    // Method to build the product from a JSON definition (see products/product.schema.json)
+    loadDefinition(definition) {
+        // Throws a ProductDefinitionError pointing at every invalid field
+        new ProductDefinitionValidator(Object.keys(this.materials)).validate(definition);
         
-        seat.position.set(0, 1, 0);
-        seat.castShadow = true;
-        seat.receiveShadow = true;
-        seat.userData = { name: 'Chair Seat', partType: 'seat' };
+        this.clearProduct();
+        this.productDefinition = definition;
+        this.chairParameters = null;
         
-        this.productGroup.add(seat);
-        this.productParts.push(seat);
+        this.syncJoints(definition.joints || []);
+        definition.parts.forEach(partDefinition => {
+            this.getPartContainer(partDefinition.name).add(this.createPart(partDefinition));
+        });
+        
+        console.log(`Product "${definition.name}" built with ${this.productParts.length} parts and ${this.joints.size} joints`);
+        return this.productParts;
     }
     
-    createBackrest() {
-        // Main backrest
-        const backGeometry = new THREE.BoxGeometry(2, 2, 0.2);
-        const backrest = new THREE.Mesh(backGeometry, this.materials.wood);
+    // Method to fetch and build a JSON definition from a URL
+    async loadDefinitionFromUrl(url) {
+        const response = await fetch(url);
+        if (!response.ok) {
+            throw new Error(`Failed to fetch product definition ${url} (${response.status})`);
+        }
         
-        backrest.position.set(0, 2, -0.9);
-        backrest.castShadow = true;
-        backrest.receiveShadow = true;
-        backrest.userData = { name: 'Chair Backrest', partType: 'backrest' };
+        return this.loadDefinition(await response.json());
+    }
+    
+    // Method to rescale the default 0..1 UVs to meters, so the procedural textures
+    // keep the same density on a 2m seat and a thin leg
+    scaleUVsToSize(geometry, geometryDefinition) {
+        const uv = geometry.attributes.uv;
+        const { width, height, depth, type } = geometryDefinition;
         
-        this.productGroup.add(backrest);
-        this.productParts.push(backrest);
+        const scaleRange = (start, end, scaleU, scaleV) => {
+            for (let i = start; i < end; i++) {
+                uv.setXY(i, uv.getX(i) * scaleU, uv.getY(i) * scaleV);
+            }
+        };
         
-        // Backrest support bars
-        for (let i = -0.6; i <= 0.6; i += 0.4) {
-            const barGeometry = new THREE.CylinderGeometry(0.03, 0.03, 1.5);
-            const bar = new THREE.Mesh(barGeometry, this.materials.wood);
+        if (type === 'box') {
+            // BoxGeometry lays out its faces as +x, -x, +y, -y, +z, -z with equal vertex counts
+            const faceSizes = [
+                [depth, height], [depth, height],
+                [width, depth], [width, depth],
+                [width, height], [width, height]
+            ];
+            const verticesPerFace = uv.count / faceSizes.length;
             
-            bar.position.set(i, 1.75, -0.8);
-            bar.castShadow = true;
-            bar.userData = { name: 'Backrest Support', partType: 'support' };
+            faceSizes.forEach(([scaleU, scaleV], face) => {
+                scaleRange(face * verticesPerFace, (face + 1) * verticesPerFace, scaleU, scaleV);
+            });
+        } else if (type === 'cylinder') {
+            // The side wraps U once around the circumference, the caps map their diameter
+            const { radialSegments, heightSegments } = geometry.parameters;
+            const radius = Math.max(geometryDefinition.radiusTop, geometryDefinition.radiusBottom);
+            const sideVertices = (radialSegments + 1) * (heightSegments + 1);
             
-            this.productGroup.add(bar);
-            this.productParts.push(bar);
+            scaleRange(0, sideVertices, Math.PI * 2 * radius, height);
+            scaleRange(sideVertices, uv.count, radius * 2, radius * 2);
+        } else if (type === 'sphere') {
+            const { radius } = geometryDefinition;
+            scaleRange(0, uv.count, Math.PI * 2 * radius, Math.PI * radius);
         }
+        
+        uv.needsUpdate = true;
+    }
+    
+    // Method to check whether the chair configurator applies to the current product
+    isConfigurable() {
+        return this.chairParameters !== null || this.productDefinition === chairDefinition;
     }
     
-    createLegs() {
-        const legPositions = [
-            [-0.8, 0.5, -0.8],  // Back left
-            [0.8, 0.5, -0.8],   // Back right
-            [-0.8, 0.5, 0.8],   // Front left
-            [0.8, 0.5, 0.8]     // Front right
-        ];
+    // Method to change chair parameters and regenerate only the affected parts
+    configureChair(changes) {
+        const parameters = { ...(this.chairParameters || DEFAULT_CHAIR_PARAMETERS), ...changes };
         
-        legPositions.forEach((position, index) => {
-            const legGeometry = new THREE.CylinderGeometry(0.05, 0.05, 1);
-            const leg = new THREE.Mesh(legGeometry, this.materials.wood);
+        // The static chair has no section tags yet, so its first change rebuilds every section
+        let sections = CHAIR_SECTIONS;
+        if (this.chairParameters === null) {
+            this.clearProduct();
+        } else {
+            sections = [...new Set(Object.keys(changes).flatMap(key => CHAIR_PARAMETER_SECTIONS[key] || []))];
+        }
+        
+        this.chairParameters = parameters;
+        this.productDefinition = this.createChairDefinition(parameters);
+        this.syncJoints(this.productDefinition.joints);
+        sections.forEach(section => this.rebuildChairSection(section));
+    }
+    
+    // Method to generate a full chair definition in the products/*.json format
+    createChairDefinition(parameters) {
+        return {
+            name: chairDefinition.name,
+            currency: chairDefinition.currency,
+            parts: CHAIR_SECTIONS.flatMap(section => this.createChairSection(section, parameters)),
+            joints: this.createChairJoints(parameters)
+        };
+    }
+    
+    // Method to generate the recline and armrest joints of the chair, pivots follow the parameters
+    createChairJoints(parameters) {
+        const { seatWidth, seatDepth, seatHeight } = parameters;
+        
+        // The backrest hinges on the seat top along its front face, the armrests on their rear ends
+        const joints = [{
+            name: 'Recline',
+            parts: ['Chair Backrest', 'Backrest Support'],
+            pivot: [0, seatHeight + 0.1, -(seatDepth / 2 - 0.2)],
+            axis: [-1, 0, 0],
+            limits: [0, 20]
+        }];
+        
+        if (parameters.armrests) {
+            const armX = seatWidth / 2 + 0.2;
+            ['Left', 'Right'].forEach((side, index) => joints.push({
+                name: `${side} Armrest Fold`,
+                parts: [`${side} Armrest`],
+                pivot: [index === 0 ? -armX : armX, seatHeight + 0.35, -seatDepth * 0.75 / 2],
+                axis: [-1, 0, 0],
+                limits: [0, 90]
+            }));
+        }
+        
+        return joints;
+    }
+    
+    rebuildChairSection(section) {
+        // Remove the old parts in place so shared references to productParts stay valid
+        for (let i = this.productParts.length - 1; i >= 0; i--) {
+            const part = this.productParts[i];
+            if (part.userData.chairSection !== section) continue;
             
-            leg.position.set(...position);
-            leg.castShadow = true;
-            leg.receiveShadow = true;
-            leg.userData = { name: `Chair Leg ${index + 1}`, partType: 'leg' };
+            part.removeFromParent();
+            this.disposePart(part);
+            this.productParts.splice(i, 1);
+        }
+        
+        this.createChairSection(section, this.chairParameters).forEach(partDefinition => {
+            const part = this.createPart(partDefinition);
+            part.userData.chairSection = section;
+            this.getPartContainer(partDefinition.name).add(part);
+        });
+    }
+    
+    // Method to generate the part definitions of one chair section
+    createChairSection(section, parameters) {
+        return this.createChairSectionGeometry(section, parameters).map(partDefinition => {
+            // Descriptions, SKUs and prices stay in products/chair.json
+            const source = chairDefinition.parts.find(part => part.name === partDefinition.name) ||
+                chairDefinition.parts.find(part => part.partType === partDefinition.partType);
+            const { description, sku, price } = source || {};
             
-            this.productGroup.add(leg);
-            this.productParts.push(leg);
+            return { ...partDefinition, description, sku, price };
         });
     }
     
-    createArmrests() {
-        const armPositions = [
-            [-1.2, 1.4, 0],  // Left armrest
-            [1.2, 1.4, 0]    // Right armrest
-        ];
+    createChairSectionGeometry(section, parameters) {
+        const { seatWidth, seatDepth, seatHeight, legThickness, backrestHeight } = parameters;
+        const seatThickness = 0.2;
+        const backZ = -(seatDepth / 2 - 0.1);
+        const cylinder = (radius, height) => ({ type: 'cylinder', radiusTop: radius, radiusBottom: radius, height });
         
-        armPositions.forEach((position, index) => {
-            // Armrest top
-            const armGeometry = new THREE.BoxGeometry(0.3, 0.1, 1.5);
-            const armrest = new THREE.Mesh(armGeometry, this.materials.wood);
+        switch (section) {
+            case 'seat':
+                return [{
+                    name: 'Chair Seat',
+                    partType: 'seat',
+                    geometry: { type: 'box', width: seatWidth, height: seatThickness, depth: seatDepth },
+                    material: 'cushion',
+                    position: [0, seatHeight, 0]
+                }];
             
-            armrest.position.set(...position);
-            armrest.castShadow = true;
-            armrest.receiveShadow = true;
-            armrest.userData = { 
-                name: `${index === 0 ? 'Left' : 'Right'} Armrest`, 
-                partType: 'armrest' 
-            };
+            case 'backrest':
+                return [{
+                    name: 'Chair Backrest',
+                    partType: 'backrest',
+                    geometry: { type: 'box', width: seatWidth, height: backrestHeight, depth: 0.2 },
+                    material: 'wood',
+                    position: [0, seatHeight + backrestHeight / 2, backZ]
+                }];
+            
+            case 'supports': {
+                // Bars step from the left end of the middle 60% of the backrest, span / count apart,
+                // which puts the shipped chair's three bars at -0.6, -0.2 and 0.2
+                const count = parameters.supportBars;
+                const span = seatWidth * 0.6;
+                const barHeight = backrestHeight * 0.75;
+                
+                return Array.from({ length: count }, (_, index) => ({
+                    name: 'Backrest Support',
+                    partType: 'support',
+                    geometry: cylinder(0.03, barHeight),
+                    material: 'wood',
+                    position: [
+                        -span / 2 + (span * index) / count,
+                        seatHeight + barHeight / 2,
+                        backZ + 0.1
+                    ],
+                    receiveShadow: false
+                }));
+            }
+            
+            case 'legs': {
+                const legX = seatWidth / 2 - 0.2;
+                const legZ = seatDepth / 2 - 0.2;
+                const legPositions = [
+                    [-legX, seatHeight / 2, -legZ],  // Back left
+                    [legX, seatHeight / 2, -legZ],   // Back right
+                    [-legX, seatHeight / 2, legZ],   // Front left
+                    [legX, seatHeight / 2, legZ]     // Front right
+                ];
+                
+                return legPositions.map((position, index) => ({
+                    name: `Chair Leg ${index + 1}`,
+                    partType: 'leg',
+                    geometry: cylinder(legThickness / 2, seatHeight),
+                    material: 'wood',
+                    position
+                }));
+            }
+            
+            case 'armrests': {
+                if (!parameters.armrests) return [];
+                
+                const armX = seatWidth / 2 + 0.2;
+                return ['Left', 'Right'].flatMap((side, index) => {
+                    const x = index === 0 ? -armX : armX;
+                    return [
+                        {
+                            name: `${side} Armrest`,
+                            partType: 'armrest',
+                            geometry: { type: 'box', width: 0.3, height: 0.1, depth: seatDepth * 0.75 },
+                            material: 'wood',
+                            position: [x, seatHeight + 0.4, 0]
+                        },
+                        {
+                            name: `${side} Armrest Support`,
+                            partType: 'support',
+                            geometry: cylinder(0.04, 0.8),
+                            material: 'wood',
+                            position: [x, seatHeight, 0],
+                            receiveShadow: false
+                        }
+                    ];
+                });
+            }
+            
+            default:
+                throw new Error(`Unknown chair section: ${section}`);
+        }
+    }
+    
+    // Method to build or update the joint hierarchy of a definition. Parts keep their
+    // product-space positions, a joint group only adds the turn about its pivot
+    syncJoints(jointDefinitions) {
+        // Dropped joints hand their parts back to the parent at rest
+        this.joints.forEach((joint, name) => {
+            if (jointDefinitions.some(definition => definition.name === name)) return;
+            
+            [...joint.group.children].forEach(child => joint.group.parent.add(child));
+            joint.group.removeFromParent();
+            this.joints.delete(name);
+        });
+        
+        const sync = (definition) => {
+            let joint = this.joints.get(definition.name);
+            const parent = definition.parent ?
+                sync(jointDefinitions.find(other => other.name === definition.parent)).group :
+                this.productGroup;
+            
+            if (!joint) {
+                const group = new THREE.Group();
+                group.name = `${definition.name} Joint`;
+                joint = { name: definition.name, group, angle: THREE.MathUtils.degToRad(definition.angle || 0) };
+                this.joints.set(definition.name, joint);
+            }
+            
+            if (joint.group.parent !== parent) {
+                parent.add(joint.group);
+            }
+            
+            joint.parts = definition.parts;
+            joint.restAngle = THREE.MathUtils.degToRad(definition.angle || 0);
+            joint.pivot = new THREE.Vector3(...definition.pivot);
+            joint.axis = new THREE.Vector3(...definition.axis).normalize();
+            joint.limits = definition.limits.map(THREE.MathUtils.degToRad);
+            
+            // Reconfigured limits may no longer include the current angle
+            this.setJointAngle(joint.name, joint.angle);
+            return joint;
+        };
+        
+        jointDefinitions.forEach(sync);
+    }
+    
+    // Method to turn a joint, clamped to its limits. Angles are in radians
+    setJointAngle(name, angle) {
+        const joint = this.joints.get(name);
+        if (!joint) {
+            throw new Error(`Unknown joint: ${name}`);
+        }
+        
+        joint.angle = THREE.MathUtils.clamp(angle, joint.limits[0], joint.limits[1]);
+        
+        // Rotating about the pivot: rotate about the origin, then shift the pivot back into place
+        joint.group.quaternion.setFromAxisAngle(joint.axis, joint.angle);
+        joint.group.position.copy(joint.pivot).sub(joint.pivot.clone().applyQuaternion(joint.group.quaternion));
+        
+        return joint.angle;
+    }
+    
+    getJoints() {
+        return [...this.joints.values()];
+    }
+    
+    // Method to find the joint that moves a part, the nearest one up its hierarchy
+    getPartJoint(part) {
+        for (let object = part.parent; object && object !== this.productGroup; object = object.parent) {
+            const joint = this.getJoints().find(candidate => candidate.group === object);
+            if (joint) return joint;
+        }
+        return null;
+    }
+    
+    getPartContainer(partName) {
+        const joint = this.getJoints().find(candidate => candidate.parts.includes(partName));
+        return joint ? joint.group : this.productGroup;
+    }
+    
+    createPart(partDefinition) {
+        const part = new THREE.Mesh(
+            this.createGeometry(partDefinition.geometry),
+            this.materials[partDefinition.material]
+        );
+        
+        part.position.set(...(partDefinition.position || [0, 0, 0]));
+        if (partDefinition.rotation) {
+            part.rotation.set(...partDefinition.rotation.map(THREE.MathUtils.degToRad));
+        }
+        
+        part.castShadow = partDefinition.castShadow ?? true;
+        part.receiveShadow = partDefinition.receiveShadow ?? true;
+        part.userData = {
+            name: partDefinition.name,
+            partType: partDefinition.partType,
+            materialKey: partDefinition.material,
+            description: partDefinition.description,
+            sku: partDefinition.sku,
+            price: partDefinition.price
+        };
+        
+        this.productParts.push(part);
+        
+        // Child parts are positioned relative to their parent
+        (partDefinition.children || []).forEach(childDefinition => {
+            part.add(this.createPart(childDefinition));
+        });
+        
+        return part;
+    }
+    
+    // Method to get the shared geometry for a definition, identical parts such as
+    // the four legs reuse one geometry so they can also be batched when rendering
+    createGeometry(geometryDefinition) {
+        const key = JSON.stringify(geometryDefinition);
+        let geometry = this.geometryCache.get(key);
+        
+        if (!geometry) {
+            geometry = this.createBaseGeometry(geometryDefinition);
+            this.scaleUVsToSize(geometry, geometryDefinition);
+            
+            this.geometryCache.set(key, geometry);
+            this.geometryUsers.set(geometry, { key, users: 0 });
+        }
+        
+        this.geometryUsers.get(geometry).users++;
+        return geometry;
+    }
+    
+    // Method to dispose a geometry once no part uses it anymore
+    releaseGeometry(geometry) {
+        const usage = this.geometryUsers.get(geometry);
+        
+        if (usage) {
+            usage.users--;
+            if (usage.users > 0) return;
+            
+            this.geometryCache.delete(usage.key);
+            this.geometryUsers.delete(geometry);
+        }
+        
+        geometry.dispose();
+    }
+    
+    createBaseGeometry(geometryDefinition) {
+        switch (geometryDefinition.type) {
+            case 'box':
+                return new THREE.BoxGeometry(
+                    geometryDefinition.width,
+                    geometryDefinition.height,
+                    geometryDefinition.depth
+                );
+            case 'cylinder':
+                return new THREE.CylinderGeometry(
+                    geometryDefinition.radiusTop,
+                    geometryDefinition.radiusBottom,
+                    geometryDefinition.height,
+                    geometryDefinition.radialSegments
+                );
+            case 'sphere':
+                return new THREE.SphereGeometry(
+                    geometryDefinition.radius,
+                    geometryDefinition.widthSegments,
+                    geometryDefinition.heightSegments
+                );
+            default:
+                throw new Error(`Unsupported geometry type: ${geometryDefinition.type}`);
+        }
+    }
+    
+    // Method to load a product from a local .glb/.gltf file
+    async loadModel(url, onProgress) {
+        const loader = new GLTFLoader();
+        
+        const gltf = await loader.loadAsync(url, (event) => {
+            if (onProgress && event.lengthComputable) {
+                onProgress(event.loaded / event.total);
+            }
+        });
+        
+        // Wrap the model so centering and scaling don't touch its own transform
+        const model = new THREE.Group();
+        model.add(gltf.scene);
+        this.fitModel(model);
+        
+        this.clearProduct();
+        this.productDefinition = null;
+        this.chairParameters = null;
+        this.registerModelParts(gltf.scene);
+        this.productGroup.add(model);
+        
+        console.log(`Model loaded from ${url} with ${this.productParts.length} parts`);
+        return this.productParts;
+    }
+    
+    fitModel(model) {
+        const box = new THREE.Box3().setFromObject(model);
+        if (box.isEmpty()) {
+            throw new Error('Model contains no geometry');
+        }
+        
+        const size = box.getSize(new THREE.Vector3());
+        const center = box.getCenter(new THREE.Vector3());
+        const scale = this.modelFitSize / Math.max(size.x, size.y, size.z);
+        
+        // Center on X/Z and stand the model on the ground like the chair
+        model.scale.setScalar(scale);
+        model.position.set(-center.x * scale, -box.min.y * scale, -center.z * scale);
+    }
+    
+    registerModelParts(root) {
+        root.traverse((object) => {
+            if (!object.isMesh) return;
             
-            this.productGroup.add(armrest);
-            this.productParts.push(armrest);
+            object.castShadow = true;
+            object.receiveShadow = true;
             
-            // Armrest support
-            const supportGeometry = new THREE.CylinderGeometry(0.04, 0.04, 0.8);
-            const support = new THREE.Mesh(supportGeometry, this.materials.wood);
+            // Multi-primitive meshes carry the node name and extras on their parent group;
+            // GLTFLoader keeps the unsanitized node name in userData.name
+            const node = object.parent.isGroup && object.parent !== root ? object.parent : object;
+            const extras = { ...object.userData, ...node.userData };
+            const name = extras.name || node.name.replace(/_/g, ' ');
+            if (!name) return;
             
-            support.position.set(position[0], 1.0, position[2]);
-            support.castShadow = true;
-            support.userData = { 
-                name: `${index === 0 ? 'Left' : 'Right'} Armrest Support`, 
-                partType: 'support' 
+            object.userData = {
+                ...object.userData,
+                name,
+                partType: extras.partType || this.inferPartType(name),
+                description: extras.description,
+                sku: extras.sku,
+                price: extras.price
             };
             
-            this.productGroup.add(support);
-            this.productParts.push(support);
+            this.productParts.push(object);
+        });
+    }
+    
+    inferPartType(name) {
+        const normalized = name.toLowerCase();
+        const keyword = PART_TYPE_KEYWORDS.find(type => normalized.includes(type));
+        
+        // Fall back to the node name without numeric suffixes, e.g. "Screw.003" -> "screw"
+        return keyword || normalized.replace(/[\s._-]*\d+$/, '').replace(/[\s._]+/g, '-');
+    }
+    
+    // Method to remove the current product and free its GPU resources
+    clearProduct() {
+        this.disposePart(this.productGroup);
+        
+        this.productGroup.clear();
+        this.productParts.length = 0;
+        this.joints.clear();
+    }
+    
+    // Method to free the geometries and non-shared materials of an object and its children
+    disposePart(root) {
+        const sharedMaterials = new Set(Object.values(this.materials));
+        
+        // Hover and selection clones reference the shared procedural textures too
+        const sharedTextures = new Set(
+            Object.values(this.materials).flatMap(material => [material.map, material.normalMap, material.roughnessMap])
+        );
+        
+        root.traverse((object) => {
+            if (!object.isMesh) return;
+            
+            // Back to the base material so highlight copies are released, not disposed twice
+            this.materialStates.reset(object);
+            this.releaseGeometry(object.geometry);
+            const materials = Array.isArray(object.material) ? object.material : [object.material];
+            materials.forEach(material => {
+                if (sharedMaterials.has(material)) return;
+                
+                Object.values(material).forEach(value => {
+                    if (value && value.isTexture && !sharedTextures.has(value)) value.dispose();
+                });
+                material.dispose();
+            });
         });
     }
     
+    // Method to collect what the part info panel shows about a part
+    getPartInfo(part) {
+        const { name, partType, materialKey, description, sku, price } = part.userData;
+        
+        // Parts sharing a partType, like the four legs, are numbered in build order
+        const siblings = this.productParts.filter(candidate => candidate.userData.partType === partType);
+        
+        return {
+            name: name || 'Unknown Part',
+            description,
+            material: this.getPartMaterialLabel(part),
+            dimensions: this.getPartDimensions(part),
+            estimate: this.getPartEstimate(part),
+            sku,
+            price: typeof price === 'number' ? price : null,
+            currency: (this.productDefinition && this.productDefinition.currency) || 'USD',
+            index: siblings.indexOf(part) + 1,
+            count: siblings.length
+        };
+    }
+    
+    getPartMaterialLabel(part) {
+        const slot = part.userData.materialKey;
+        if (slot && MATERIAL_CATALOG[slot]) {
+            const variant = getMaterialVariant(slot, this.materialVariants[slot]);
+            return `${MATERIAL_CATALOG[slot].label} · ${variant.label}`;
+        }
+        
+        // Loaded models only have their own material names
+        const baseMaterial = this.materialStates.getBaseMaterial(part);
+        const material = Array.isArray(baseMaterial) ? baseMaterial[0] : baseMaterial;
+        return material.name || null;
+    }
+    
+    // Method to measure a part's bounding box in product units, ignoring hover/pulse scale
+    getPartDimensions(part) {
+        if (!part.geometry.boundingBox) {
+            part.geometry.computeBoundingBox();
+        }
+        
+        const size = part.geometry.boundingBox.getSize(new THREE.Vector3());
+        size.multiply(part.userData.originalScale || part.scale);
+        
+        // Include scaling from parents below the product group, e.g. a fitted model
+        for (let parent = part.parent; parent && parent !== this.productGroup; parent = parent.parent) {
+            size.multiply(parent.scale);
+        }
+        
+        return { width: size.x, height: size.y, depth: size.z };
+    }
+    
+    // Method to get a part's volume in m³ from its geometry, ignoring hover scaling
+    getPartVolume(part) {
+        const geometry = part.geometry;
+        if (!this.geometryVolumes.has(geometry)) {
+            this.geometryVolumes.set(geometry, this.computeGeometryVolume(geometry));
+        }
+        
+        const scale = (part.userData.originalScale || part.scale).clone();
+        for (let parent = part.parent; parent && parent !== this.productGroup; parent = parent.parent) {
+            scale.multiply(parent.scale);
+        }
+        
+        return this.geometryVolumes.get(geometry) * Math.abs(scale.x * scale.y * scale.z);
+    }
+    
+    // Sum of signed tetrahedra between the origin and each triangle, exact for closed meshes
+    computeGeometryVolume(geometry) {
+        const position = geometry.attributes.position;
+        const index = geometry.index;
+        const triangleCount = (index ? index.count : position.count) / 3;
+        const a = new THREE.Vector3();
+        const b = new THREE.Vector3();
+        const c = new THREE.Vector3();
+        let volume = 0;
+        
+        for (let triangle = 0; triangle < triangleCount; triangle++) {
+            const vertex = (corner) => index ? index.getX(triangle * 3 + corner) : triangle * 3 + corner;
+            a.fromBufferAttribute(position, vertex(0));
+            b.fromBufferAttribute(position, vertex(1));
+            c.fromBufferAttribute(position, vertex(2));
+            
+            volume += a.dot(b.cross(c)) / 6;
+        }
+        
+        return Math.abs(volume);
+    }
+    
+    // Method to estimate a part's weight and material cost from the density and price of its variant.
+    // Parts without a material slot, e.g. from loaded models, only get a volume
+    getPartEstimate(part) {
+        const volume = this.getPartVolume(part);
+        const slot = part.userData.materialKey;
+        
+        if (!slot || !MATERIAL_CATALOG[slot]) {
+            return { volume, weight: null, cost: null, currency: MATERIAL_PRICE_CURRENCY };
+        }
+        
+        const variant = getMaterialVariant(slot, this.materialVariants[slot]);
+        const weight = volume * variant.density;
+        
+        return { volume, weight, cost: weight * variant.pricePerKg, currency: MATERIAL_PRICE_CURRENCY };
+    }
+    
+    // Method to total the estimates of every part
+    getProductEstimate() {
+        const totals = { volume: 0, weight: 0, cost: 0, currency: MATERIAL_PRICE_CURRENCY, partCount: 0, unestimatedCount: 0 };
+        
+        this.productParts.forEach(part => {
+            const estimate = this.getPartEstimate(part);
+            
+            totals.volume += estimate.volume;
+            totals.partCount++;
+            
+            if (estimate.weight === null) {
+                totals.unestimatedCount++;
+            } else {
+                totals.weight += estimate.weight;
+                totals.cost += estimate.cost;
+            }
+        });
+        
+        return totals;
+    }
+    
+    // Method to get a part's bounding box in productGroup space
+    getPartBounds(part) {
+        if (!part.geometry.boundingBox) {
+            part.geometry.computeBoundingBox();
+        }
+        
+        this.productGroup.updateMatrixWorld(true);
+        const partToGroup = this.productGroup.matrixWorld.clone().invert().multiply(part.matrixWorld);
+        
+        return part.geometry.boundingBox.clone().applyMatrix4(partToGroup);
+    }
+    
+    // Method to run a callback with every part at its assembled transform, ignoring hover
+    // scaling and the exploded view, e.g. to measure the product as built
+    withAssembledParts(callback) {
+        const parts = this.getInteractiveParts();
+        const saved = parts.map(part => ({ position: part.position.clone(), scale: part.scale.clone() }));
+        
+        parts.forEach(part => {
+            if (part.userData.explode) {
+                part.position.copy(part.userData.explode.basePosition);
+            }
+            if (part.userData.originalScale) {
+                part.scale.copy(part.userData.originalScale);
+            }
+        });
+        
+        const result = callback(parts);
+        
+        parts.forEach((part, index) => {
+            part.position.copy(saved[index].position);
+            part.scale.copy(saved[index].scale);
+        });
+        
+        return result;
+    }
+    
+    // Method to get the product's world bounding box at its resting height
+    getProductBounds() {
+        const bounds = new THREE.Box3();
+        this.productParts.forEach(part => bounds.union(this.getPartBounds(part)));
+        
+        // Leave out the floating offset so the camera doesn't frame a moving target
+        const group = this.productGroup;
+        const restingY = group.userData.originalY ?? group.position.y;
+        return bounds.translate(new THREE.Vector3(group.position.x, restingY, group.position.z));
+    }
+    
+    // Method to swap products with a scale-out/scale-in transition.
+    // `build` replaces the parts while the old product is scaled down
+    transitionTo(build, duration = 350) {
+        if (this.transition) {
+            return Promise.reject(new Error('A product transition is already running'));
+        }
+        
+        return new Promise((resolve, reject) => {
+            this.transition = { phase: 'out', elapsed: 0, duration, build, resolve, reject };
+        });
+    }
+    
+    isTransitioning() {
+        return Boolean(this.transition);
+    }
+    
+    // Method to update the product transition (called in the animation loop)
+    updateTransition(deltaTime) {
+        const transition = this.transition;
+        if (!transition) return;
+        
+        transition.elapsed += deltaTime;
+        const progress = Math.min(transition.elapsed / transition.duration, 1);
+        const easeOut = 1 - Math.pow(1 - progress, 3);
+        
+        if (transition.phase === 'out') {
+            // A zero scale would make the group matrix non-invertible
+            this.productGroup.scale.setScalar(Math.max(1 - easeOut, 0.001));
+            if (progress < 1) return;
+            
+            try {
+                transition.build();
+            } catch (error) {
+                this.productGroup.scale.setScalar(1);
+                this.transition = null;
+                transition.reject(error);
+                return;
+            }
+            
+            transition.phase = 'in';
+            transition.elapsed = 0;
+        } else {
+            this.productGroup.scale.setScalar(Math.max(easeOut, 0.001));
+            if (progress < 1) return;
+            
+            this.productGroup.scale.setScalar(1);
+            this.transition = null;
+            transition.resolve();
+        }
+    }
+    
     // Method to get all interactive parts
     getInteractiveParts() {
         return this.productParts;
@@ -170,7 +900,8 @@ export class ProductCreator {
         this.productGroup.userData.floating = true;
     }
     
-    // Method to update floating animation
+    // Method to update floating animation. Only the group moves, so per-part
+    // offsets such as the exploded view are left alone
     updateFloating(time) {
         if (this.productGroup.userData.floating) {
             const originalY = this.productGroup.userData.originalY || 0;
@@ -178,30 +909,23 @@ export class ProductCreator {
         }
     }
     
+    // Method to tell whether the product is floating or in a transition
+    hasRunningAnimation() {
+        return Boolean(this.productGroup.userData.floating || this.transition);
+    }
+    
     // Method to highlight a part
     highlightPart(part, highlight = true) {
-        if (highlight) {
-            part.material = part.material.clone();
-            part.material.emissive = new THREE.Color(0x444444);
-            part.classList?.add('highlighted');
-        } else {
-            // Reset to original material
-            const partType = part.userData.partType;
-            switch(partType) {
-                case 'seat':
-                    part.material = this.materials.cushion;
-                    break;
-                case 'leg':
-                case 'backrest':
-                case 'armrest':
-                case 'support':
-                    part.material = this.materials.wood;
-                    break;
-                default:
-                    part.material = this.materials.wood;
-            }
-            part.classList?.remove('highlighted');
-        }
+        this.materialStates.setState(part, 'isolated', highlight);
+    }
+    
+    // Clean up method, frees the parts and the shared materials and textures
+    destroy() {
+        this.clearProduct();
+        this.scene.remove(this.productGroup);
+        
+        Object.values(this.materials).forEach(material => material.dispose());
+        this.textures.dispose();
     }
 }
 
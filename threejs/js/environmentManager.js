@@ -0,0 +1,343 @@
+/**
+ * Environment Module
+ */
+
+import * as THREE from 'three';
+import { RGBELoader } from 'three/addons/loaders/RGBELoader.js';
+import { EXRLoader } from 'three/addons/loaders/EXRLoader.js';
+
+export const ENVIRONMENT_SOURCES = ['studio', 'file', 'none'];
+export const BACKGROUND_MODES = ['gradient', 'solid', 'environment', 'transparent'];
+
+// The viewer background from style.css, also painted behind screenshots
+export const GRADIENT_COLORS = ['#667eea', '#764ba2'];
+
+// Options of the image-based lighting and the background behind the product
+export const DEFAULT_ENVIRONMENT_OPTIONS = {
+    source: 'studio', // 'studio', or 'none' for the analytic lights only
+    url: null, // HDR or EXR panorama lighting the product instead of the studio
+    intensity: 1,
+    rotation: 0, // Degrees around the vertical axis
+    background: 'gradient',
+    backgroundColor: '#f0f0f0' // Shown in 'solid' background mode
+};
+
+// Blur of the environment shown behind the product, from 0 (sharp) to 1
+const BACKGROUND_BLURRINESS = 0.4;
+
+// Softboxes of the studio environment, brightness relative to a white wall
+const STUDIO_PANELS = [
+    { position: [-5, 6, 5], size: [6, 4], brightness: 8 }, // Key light
+    { position: [7, 3, 2], size: [3, 6], brightness: 3 }, // Fill light
+    { position: [0, 4, -8], size: [10, 1.5], brightness: 5 }, // Rim strip behind the product
+    { position: [0, 9, 0], size: [6, 6], brightness: 4 } // Overhead softbox
+];
+
+// Wall, ceiling and floor brightness of the studio room, in BoxGeometry face order
+const STUDIO_ROOM = [0.4, 0.4, 0.6, 0.15, 0.4, 0.4];
+
+// Dispatches 'environmentchange' once a loaded environment is in place
+export class EnvironmentManager extends THREE.EventDispatcher {
+    constructor(sceneManager, lightingManager, options = {}, onError, root = document) {
+        super();
+        
+        this.scene = sceneManager.scene;
+        this.renderer = sceneManager.renderer;
+        this.lightingManager = lightingManager;
+        this.options = { ...DEFAULT_ENVIRONMENT_OPTIONS, ...options };
+        this.onError = onError;
+        
+        // The scene's fog, left out for backgrounds without one color
+        this.fog = this.scene.fog;
+        
+        // Prefiltered environment, rebuilt when the source, intensity or rotation changes
+        this.pmremGenerator = new THREE.PMREMGenerator(this.renderer);
+        this.environmentTarget = null;
+        
+        // Loaded HDR or EXR panorama
+        this.panorama = null;
+        
+        // UI elements
+        this.appElement = root.getElementById('app');
+        this.sourceSelect = root.getElementById('environment-source');
+        this.fileOption = root.getElementById('environment-file-option');
+        this.loadButton = root.getElementById('load-environment');
+        this.fileInput = root.getElementById('environment-file');
+        this.intensityInput = root.getElementById('environment-intensity');
+        this.rotationInput = root.getElementById('environment-rotation');
+        this.backgroundSelect = root.getElementById('background-mode');
+        this.colorInput = root.getElementById('background-color');
+        
+        if (this.options.source === 'file') {
+            throw new Error('Set the url option to light the product with a file');
+        }
+        
+        this.setupEventListeners();
+        this.setSource(this.options.source);
+        this.setBackground(this.options.background);
+        this.syncInputs();
+        
+        console.log('Environment manager initialized successfully');
+    }
+    
+    setupEventListeners() {
+        // Store bound methods for proper cleanup
+        this.boundSourceChange = () => this.setSource(this.sourceSelect.value);
+        this.boundLoadClick = () => this.fileInput.click();
+        this.boundFileChange = () => this.loadSelectedFile();
+        this.boundIntensityInput = () => this.setIntensity(Number(this.intensityInput.value));
+        this.boundRotationInput = () => this.setRotation(Number(this.rotationInput.value));
+        this.boundBackgroundChange = () => this.setBackground(this.backgroundSelect.value);
+        this.boundColorInput = () => this.setBackgroundColor(this.colorInput.value);
+        
+        this.sourceSelect.addEventListener('change', this.boundSourceChange);
+        this.loadButton.addEventListener('click', this.boundLoadClick);
+        this.fileInput.addEventListener('change', this.boundFileChange);
+        this.intensityInput.addEventListener('input', this.boundIntensityInput);
+        this.rotationInput.addEventListener('input', this.boundRotationInput);
+        this.backgroundSelect.addEventListener('change', this.boundBackgroundChange);
+        this.colorInput.addEventListener('input', this.boundColorInput);
+    }
+    
+    syncInputs() {
+        this.sourceSelect.value = this.options.source;
+        this.intensityInput.value = this.options.intensity;
+        this.rotationInput.value = this.options.rotation;
+        this.backgroundSelect.value = this.options.background;
+        this.colorInput.value = this.options.backgroundColor;
+    }
+    
+    setSource(source) {
+        if (!ENVIRONMENT_SOURCES.includes(source)) {
+            throw new Error(`Unknown environment source: ${source}`);
+        }
+        if (source === 'file' && !this.panorama) {
+            throw new Error('No environment file has been loaded');
+        }
+        
+        this.options.source = source;
+        this.updateEnvironment();
+    }
+    
+    setIntensity(intensity) {
+        this.options.intensity = intensity;
+        this.updateEnvironment();
+    }
+    
+    // Method to turn the environment around the product, in degrees
+    setRotation(rotation) {
+        this.options.rotation = rotation;
+        this.updateEnvironment();
+    }
+    
+    async loadSelectedFile() {
+        const file = this.fileInput.files[0];
+        if (!file) return;
+        
+        const objectUrl = URL.createObjectURL(file);
+        await this.loadEnvironment(objectUrl, file.name);
+        URL.revokeObjectURL(objectUrl);
+        
+        this.fileInput.value = '';
+    }
+    
+    // Method to light the product with an equirectangular HDR or EXR panorama. The format
+    // comes from the name, which for a blob URL is the original file name
+    async loadEnvironment(url, name = url) {
+        this.loadButton.disabled = true;
+        
+        try {
+            const fileName = name.split(/[?#]/)[0].split('/').pop();
+            const extension = fileName.split('.').pop().toLowerCase();
+            const loaders = { hdr: RGBELoader, exr: EXRLoader };
+            if (!loaders[extension]) {
+                throw new Error(`Unsupported environment format: ${name}, expected a .hdr or .exr file`);
+            }
+            
+            const texture = await new loaders[extension]().loadAsync(url);
+            
+            if (this.panorama) {
+                this.panorama.dispose();
+            }
+            this.panorama = texture;
+            
+            this.fileOption.textContent = fileName;
+            this.fileOption.hidden = false;
+            this.setSource('file');
+            this.sourceSelect.value = 'file';
+            
+            this.dispatchEvent({ type: 'environmentchange' });
+            console.log(`Environment loaded from ${name}`);
+        } catch (error) {
+            console.error('Failed to load environment:', error);
+            this.onError(error);
+        } finally {
+            this.loadButton.disabled = false;
+        }
+    }
+    
+    // Method to prefilter the chosen environment for the product's materials. Intensity and
+    // rotation are baked into the map, which lights every material and the background alike
+    updateEnvironment() {
+        if (this.environmentTarget) {
+            this.environmentTarget.dispose();
+            this.environmentTarget = null;
+        }
+        
+        const { source, intensity, rotation } = this.options;
+        
+        if (source !== 'none') {
+            const environmentScene = source === 'file'
+                ? this.createPanoramaScene(this.panorama, intensity)
+                : this.createStudioScene(intensity);
+            environmentScene.rotation.y = THREE.MathUtils.degToRad(rotation);
+            
+            this.environmentTarget = this.pmremGenerator.fromScene(environmentScene);
+            this.disposeScene(environmentScene);
+        }
+        
+        this.scene.environment = this.environmentTarget ? this.environmentTarget.texture : null;
+        
+        // The environment takes over from the ambient and hemisphere lights
+        this.lightingManager.setEnvironmentLighting(Boolean(this.environmentTarget));
+        
+        this.updateBackground();
+    }
+    
+    // Method to build a photo studio of unlit panels, so its brightness scales with the intensity
+    createStudioScene(intensity) {
+        const scene = new THREE.Scene();
+        
+        const room = new THREE.Mesh(
+            new THREE.BoxGeometry(24, 14, 24),
+            STUDIO_ROOM.map(brightness => new THREE.MeshBasicMaterial({
+                color: new THREE.Color().setScalar(brightness * intensity),
+                side: THREE.BackSide
+            }))
+        );
+        room.position.y = 5;
+        scene.add(room);
+        
+        STUDIO_PANELS.forEach(({ position, size, brightness }) => {
+            const panel = new THREE.Mesh(
+                new THREE.PlaneGeometry(...size),
+                new THREE.MeshBasicMaterial({
+                    color: new THREE.Color().setScalar(brightness * intensity),
+                    side: THREE.DoubleSide
+                })
+            );
+            panel.position.fromArray(position);
+            panel.lookAt(0, 0, 0);
+            scene.add(panel);
+        });
+        
+        return scene;
+    }
+    
+    createPanoramaScene(texture, intensity) {
+        const scene = new THREE.Scene();
+        
+        // Seen from inside, so the sphere is mirrored to keep the panorama the right way round
+        const geometry = new THREE.SphereGeometry(50, 64, 32);
+        geometry.scale(-1, 1, 1);
+        
+        scene.add(new THREE.Mesh(geometry, new THREE.MeshBasicMaterial({
+            map: texture,
+            color: new THREE.Color().setScalar(intensity)
+        })));
+        
+        return scene;
+    }
+    
+    // The panorama texture is kept for rebuilding, only the scene's own resources are freed
+    disposeScene(scene) {
+        scene.traverse(object => {
+            if (!object.isMesh) return;
+            
+            object.geometry.dispose();
+            (Array.isArray(object.material) ? object.material : [object.material]).forEach(material => material.dispose());
+        });
+    }
+    
+    setBackground(mode) {
+        if (!BACKGROUND_MODES.includes(mode)) {
+            throw new Error(`Unknown background mode: ${mode}`);
+        }
+        
+        this.options.background = mode;
+        this.updateBackground();
+    }
+    
+    setBackgroundColor(color) {
+        this.options.backgroundColor = color;
+        this.updateBackground();
+    }
+    
+    // Method to get the background shown, the gradient stands in for a missing environment
+    getBackgroundMode() {
+        const mode = this.options.background;
+        return mode === 'environment' && !this.environmentTarget ? 'gradient' : mode;
+    }
+    
+    // Gradient and solid backgrounds are page colors behind the transparent canvas, only the
+    // environment is drawn by the renderer. The fog fades the ground into the background color
+    updateBackground() {
+        const mode = this.getBackgroundMode();
+        
+        this.scene.background = mode === 'environment' ? this.environmentTarget.texture : null;
+        this.scene.backgroundBlurriness = BACKGROUND_BLURRINESS;
+        
+        this.appElement.classList.toggle('background-solid', mode === 'solid');
+        this.appElement.classList.toggle('background-none', mode === 'environment' || mode === 'transparent');
+        this.appElement.style.setProperty('--background-color', this.options.backgroundColor);
+        this.colorInput.classList.toggle('hidden', mode !== 'solid');
+        
+        // A blurred environment or the page behind has no single color to fade into
+        if (mode === 'gradient') {
+            this.fog.color.set(GRADIENT_COLORS[0]).lerp(new THREE.Color(GRADIENT_COLORS[1]), 0.5);
+            this.scene.fog = this.fog;
+        } else if (mode === 'solid') {
+            this.fog.color.set(this.options.backgroundColor);
+            this.scene.fog = this.fog;
+        } else {
+            this.scene.fog = null;
+        }
+    }
+    
+    // Method to paint the page background behind an image of the view, e.g. a screenshot
+    paintBackground(context, width, height) {
+        const mode = this.getBackgroundMode();
+        
+        if (mode === 'gradient') {
+            const gradient = context.createLinearGradient(0, 0, width, height);
+            gradient.addColorStop(0, GRADIENT_COLORS[0]);
+            gradient.addColorStop(1, GRADIENT_COLORS[1]);
+            context.fillStyle = gradient;
+            context.fillRect(0, 0, width, height);
+        } else if (mode === 'solid') {
+            context.fillStyle = this.options.backgroundColor;
+            context.fillRect(0, 0, width, height);
+        }
+    }
+    
+    // Clean up method
+    destroy() {
+        this.sourceSelect.removeEventListener('change', this.boundSourceChange);
+        this.loadButton.removeEventListener('click', this.boundLoadClick);
+        this.fileInput.removeEventListener('change', this.boundFileChange);
+        this.intensityInput.removeEventListener('input', this.boundIntensityInput);
+        this.rotationInput.removeEventListener('input', this.boundRotationInput);
+        this.backgroundSelect.removeEventListener('change', this.boundBackgroundChange);
+        this.colorInput.removeEventListener('input', this.boundColorInput);
+        
+        if (this.environmentTarget) {
+            this.environmentTarget.dispose();
+        }
+        if (this.panorama) {
+            this.panorama.dispose();
+        }
+        this.pmremGenerator.dispose();
+    }
+}
+
+// ES6 export (already done above) 
\ No newline at end of file
@@ -0,0 +1,151 @@
+/**
+ * Exploded View Module
+ */
+
+import * as THREE from 'three';
+
+export class ExplodedView {
+    constructor(productCreator, root = document) {
+        this.productCreator = productCreator;
+        this.productGroup = productCreator.getProductGroup();
+        
+        // Explode state
+        this.isExploded = false;
+        this.amount = 0.5;
+        this.currentFactor = 0;
+        this.spread = 1.5; // offset multiplier at amount 1
+        this.smoothing = 150; // ms time constant of the in/out animation
+        
+        // Parts whose base positions and offset directions are captured
+        this.capturedParts = new Set();
+        
+        // UI elements
+        this.toggleButton = root.getElementById('toggle-explode');
+        this.amountSlider = root.getElementById('explode-amount');
+        
+        this.amountSlider.value = this.amount;
+        this.setupEventListeners();
+        
+        console.log('Exploded view initialized successfully');
+    }
+    
+    setupEventListeners() {
+        // Store bound methods for proper cleanup
+        this.boundToggle = () => this.toggle();
+        this.boundAmountChange = () => this.setAmount(Number(this.amountSlider.value));
+        
+        this.toggleButton.addEventListener('click', this.boundToggle);
+        this.amountSlider.addEventListener('input', this.boundAmountChange);
+    }
+    
+    toggle() {
+        this.isExploded = !this.isExploded;
+        this.toggleButton.textContent = this.isExploded ? 'Collapse' : 'Explode';
+        this.toggleButton.classList.toggle('active', this.isExploded);
+    }
+    
+    setAmount(amount) {
+        this.amount = THREE.MathUtils.clamp(amount, 0, 1);
+        
+        // Dragging the slider implies the user wants to see the separation
+        if (!this.isExploded && this.amount > 0) {
+            this.toggle();
+        }
+    }
+    
+    // Method to record base positions and outward offsets of the current parts
+    captureParts() {
+        // Measure everything at rest so the center isn't skewed by old offsets
+        this.capturedParts.forEach(part => {
+            if (part.userData.explode) {
+                part.position.copy(part.userData.explode.basePosition);
+            }
+        });
+        
+        const parts = this.getMovableParts();
+        const centers = new Map();
+        const productBox = new THREE.Box3();
+        
+        // Work in productGroup space so the floating offset doesn't count
+        parts.forEach(part => {
+            const box = this.productCreator.getPartBounds(part);
+            
+            centers.set(part, box.getCenter(new THREE.Vector3()));
+            productBox.union(box);
+        });
+        
+        const productCenter = productBox.getCenter(new THREE.Vector3());
+        
+        parts.forEach(part => {
+            // Convert the group-space offset into the part's parent space
+            const groupOffset = centers.get(part).sub(productCenter).multiplyScalar(this.spread);
+            const parentToGroup = this.productGroup.matrixWorld.clone().invert().multiply(part.parent.matrixWorld);
+            const linear = new THREE.Matrix3().setFromMatrix4(parentToGroup).invert();
+            
+            part.userData.explode = {
+                basePosition: part.position.clone(),
+                offset: groupOffset.applyMatrix3(linear)
+            };
+        });
+        
+        this.capturedParts = new Set(this.productCreator.getInteractiveParts());
+    }
+    
+    // Parts nested under another part follow their parent instead of moving on their own
+    getMovableParts() {
+        const parts = this.productCreator.getInteractiveParts();
+        const partSet = new Set(parts);
+        
+        return parts.filter(part => {
+            for (let ancestor = part.parent; ancestor; ancestor = ancestor.parent) {
+                if (partSet.has(ancestor)) return false;
+            }
+            return true;
+        });
+    }
+    
+    partsChanged() {
+        const parts = this.productCreator.getInteractiveParts();
+        return parts.length !== this.capturedParts.size || parts.some(part => !this.capturedParts.has(part));
+    }
+    
+    // Method to tell whether the parts are still easing towards the target offset
+    hasRunningAnimation() {
+        return this.currentFactor !== (this.isExploded ? this.amount : 0);
+    }
+    
+    // Method to be called in the animation loop
+    update(deltaTime) {
+        const targetFactor = this.isExploded ? this.amount : 0;
+        
+        // Nothing to do while collapsed and at rest
+        if (targetFactor === 0 && this.currentFactor === 0) return;
+        
+        // Rebuilt or newly loaded parts need fresh offsets
+        if (this.partsChanged()) {
+            this.captureParts();
+        }
+        
+        // Exponential ease towards the target, snapping when close enough
+        const blend = 1 - Math.exp(-deltaTime / this.smoothing);
+        this.currentFactor += (targetFactor - this.currentFactor) * blend;
+        if (Math.abs(targetFactor - this.currentFactor) < 0.001) {
+            this.currentFactor = targetFactor;
+        }
+        
+        this.capturedParts.forEach(part => {
+            const explode = part.userData.explode;
+            if (explode) {
+                part.position.copy(explode.basePosition).addScaledVector(explode.offset, this.currentFactor);
+            }
+        });
+    }
+    
+    // Clean up method
+    destroy() {
+        this.toggleButton.removeEventListener('click', this.boundToggle);
+        this.amountSlider.removeEventListener('input', this.boundAmountChange);
+    }
+}
+
+// ES6 export (already done above) 
\ No newline at end of file
@@ -4,22 +4,62 @@
 
 import * as THREE from 'three';
 import { OrbitControls } from 'three/addons/controls/OrbitControls.js';
+import { PostProcessing } from './postProcessing.js';
+
+export const RENDER_MODES = ['shaded', 'wireframe', 'xray', 'normals', 'clay'];
+
+// Layer used to draw only the product in the wireframe overlay pass
+const OVERLAY_LAYER = 2;
+
+// Sharper than this costs more fill rate than it shows, the effects run at the same resolution
+const MAX_PIXEL_RATIO = 2;
+
+// Start view, positions in meters
+export const DEFAULT_CAMERA_OPTIONS = {
+    position: [5, 3, 5],
+    target: [0, 1, 0],
+    fov: 75
+};
+
+// Orbit limits, distances in meters and polar angles in degrees from straight above
+export const DEFAULT_ORBIT_OPTIONS = {
+    minDistance: 3,
+    maxDistance: 15,
+    minPolarAngle: 30, // Prevent looking too far up
+    maxPolarAngle: 120, // Allow looking down more
+    enablePan: true
+};
 
 export class SceneManager {
-    constructor() {
+    constructor(canvas, options = {}) {
         this.scene = null;
         this.camera = null;
         this.renderer = null;
         this.controls = null;
-        this.canvas = null;
+        this.effects = null;
+        this.canvas = canvas;
+        
+        // The canvas fills this element and follows its size
+        this.container = canvas.parentElement;
+        this.resizeObserver = null;
+        
+        this.cameraOptions = { ...DEFAULT_CAMERA_OPTIONS, ...options.camera };
+        this.orbitOptions = { ...DEFAULT_ORBIT_OPTIONS, ...options.orbit };
+        this.effectsOptions = options.effects || {};
+        
+        // Callback returning the hovered and selected parts, drawn with an outline
+        this.getOutlinedParts = () => ({});
+        
+        // Render mode state. Modes swap in derived materials for the objects
+        // registered as targets while rendering, the originals are never changed
+        this.renderMode = 'shaded';
+        this.renderModeTargets = [];
+        this.modeMaterials = new Map(RENDER_MODES.map(mode => [mode, new WeakMap()]));
         
         this.init();
     }
     
     init() {
-        // Get canvas element
-        this.canvas = document.getElementById('three-canvas');
-        
         // Create scene
         this.scene = new THREE.Scene();
         this.scene.fog = new THREE.Fog(0xcccccc, 10, 50);
@@ -30,33 +70,38 @@ export class SceneManager {
         // Set up renderer
         this.setupRenderer();
         
+        // Set up the outline and effect passes
+        this.setupEffects();
+        
         // Set up controls
         this.setupControls();
         
-        // Handle window resize
+        // Handle container resize
         this.setupResizeHandler();
         
         console.log('Scene initialized successfully');
     }
     
     setupCamera() {
-        const aspect = window.innerWidth / window.innerHeight;
-        this.camera = new THREE.PerspectiveCamera(75, aspect, 0.1, 1000);
+        const { width, height } = this.getContainerSize();
+        this.camera = new THREE.PerspectiveCamera(this.cameraOptions.fov, width / height, 0.1, 1000);
         
         // Position camera for optimal product viewing
-        this.camera.position.set(5, 3, 5);
-        this.camera.lookAt(0, 0, 0);
+        this.camera.position.fromArray(this.cameraOptions.position);
+        this.camera.lookAt(...this.cameraOptions.target);
     }
     
     setupRenderer() {
+        // Frames are drawn through the effect passes, which smooth edges themselves
         this.renderer = new THREE.WebGLRenderer({ 
             canvas: this.canvas,
-            antialias: true,
+            antialias: false,
             alpha: true 
         });
         
-        this.renderer.setSize(window.innerWidth, window.innerHeight);
-        this.renderer.setPixelRatio(Math.min(window.devicePixelRatio, 2));
+        const { width, height } = this.getContainerSize();
+        this.renderer.setSize(width, height, false);
+        this.renderer.setPixelRatio(this.getPixelRatio());
         
         // Enable shadows
         this.renderer.shadowMap.enabled = true;
@@ -70,6 +115,16 @@ export class SceneManager {
         this.renderer.setClearColor(0xf0f0f0, 0);
     }
     
+    setupEffects() {
+        this.effects = new PostProcessing(
+            this.renderer,
+            this.scene,
+            this.camera,
+            (camera) => this.drawScene(camera),
+            this.effectsOptions
+        );
+    }
+    
     setupControls() {
         this.controls = new OrbitControls(this.camera, this.canvas);
         
@@ -79,40 +134,69 @@ export class SceneManager {
         this.controls.screenSpacePanning = false;
         
         // Set limits
-        this.controls.minDistance = 3;
-        this.controls.maxDistance = 15;
-        this.controls.maxPolarAngle = Math.PI / 1.5; // Allow looking down more
-        this.controls.minPolarAngle = Math.PI / 6;   // Prevent looking too far up
+        const { minDistance, maxDistance, minPolarAngle, maxPolarAngle, enablePan } = this.orbitOptions;
+        this.controls.minDistance = minDistance;
+        this.controls.maxDistance = maxDistance;
+        this.controls.minPolarAngle = THREE.MathUtils.degToRad(minPolarAngle);
+        this.controls.maxPolarAngle = THREE.MathUtils.degToRad(maxPolarAngle);
+        this.controls.enablePan = enablePan;
         
-        // Set target to center of scene (where the chair is)
-        this.controls.target.set(0, 1, 0); // Slightly elevated to match chair center
+        // Set target to the product center, slightly elevated for the chair by default
+        this.controls.target.fromArray(this.cameraOptions.target);
         this.controls.update();
         
         console.log('OrbitControls initialized with target:', this.controls.target);
     }
     
+    // The viewer can sit anywhere in a page, so it follows its container rather than the window
     setupResizeHandler() {
-        window.addEventListener('resize', () => {
-            // Update camera aspect ratio
-            this.camera.aspect = window.innerWidth / window.innerHeight;
-            this.camera.updateProjectionMatrix();
-            
-            // Update renderer size
-            this.renderer.setSize(window.innerWidth, window.innerHeight);
-            this.renderer.setPixelRatio(Math.min(window.devicePixelRatio, 2));
-        });
+        this.resizeObserver = new ResizeObserver(() => this.resize());
+        this.resizeObserver.observe(this.container);
+    }
+    
+    resize() {
+        const { width, height } = this.getContainerSize();
+        
+        // Update camera aspect ratio
+        this.camera.aspect = width / height;
+        this.camera.updateProjectionMatrix();
+        
+        // Update renderer and effect buffer sizes, the canvas is sized by the stylesheet
+        this.setSize(width, height, this.getPixelRatio());
+        
+        // Resizing clears the canvas, draw the view again before it shows
+        this.render();
+    }
+    
+    // Method to size the drawing buffer and the effect passes, e.g. to a screenshot tile
+    setSize(width, height, pixelRatio) {
+        this.renderer.setPixelRatio(pixelRatio);
+        this.renderer.setSize(width, height, false);
+        this.effects.setSize(width, height, pixelRatio);
+    }
+    
+    getPixelRatio() {
+        return Math.min(window.devicePixelRatio, MAX_PIXEL_RATIO);
+    }
+    
+    // Method to get the container size, at least one pixel while it's hidden or collapsed
+    getContainerSize() {
+        return {
+            width: Math.max(this.container.clientWidth, 1),
+            height: Math.max(this.container.clientHeight, 1)
+        };
     }
     
     // Method to get camera's initial position for reset
     getInitialCameraPosition() {
-        return new THREE.Vector3(5, 3, 5);
+        return new THREE.Vector3().fromArray(this.cameraOptions.position);
     }
     
     // Method to reset camera to initial position
     resetCamera() {
         const initialPos = this.getInitialCameraPosition();
         this.camera.position.copy(initialPos);
-        this.controls.target.set(0, 0, 0);
+        this.controls.target.fromArray(this.cameraOptions.target);
         this.controls.update();
     }
     
@@ -123,9 +207,182 @@ export class SceneManager {
         }
     }
     
-    // Method to render the scene
-    render() {
-        this.renderer.render(this.scene, this.camera);
+    // Method to set where the outlined parts come from, callback returns { hovered, selected }
+    setOutlineSource(getOutlinedParts) {
+        this.getOutlinedParts = getOutlinedParts;
+    }
+    
+    // Method to register an object whose meshes follow the render mode, e.g. the product group
+    addRenderModeTarget(object) {
+        this.renderModeTargets.push(object);
+    }
+    
+    setRenderMode(mode) {
+        if (!RENDER_MODES.includes(mode)) {
+            throw new Error(`Unknown render mode: ${mode}`);
+        }
+        
+        this.renderMode = mode;
+    }
+    
+    // Method to get the cached stand-in for a material in a render mode
+    getModeMaterial(source, mode) {
+        const cache = this.modeMaterials.get(mode);
+        let material = cache.get(source);
+        
+        if (!material) {
+            material = this.createModeMaterial(source, mode);
+            cache.set(source, material);
+            
+            // Isolation, fading and assembly check materials come and go, their stand-ins go with them
+            source.addEventListener('dispose', () => material.dispose());
+        }
+        
+        this.syncModeMaterial(source, material, mode);
+        return material;
+    }
+    
+    createModeMaterial(source, mode) {
+        switch (mode) {
+            case 'wireframe':
+                return new THREE.MeshBasicMaterial({ color: 0x222222, wireframe: true, transparent: true, opacity: 0.35 });
+            case 'xray':
+                return new THREE.MeshStandardMaterial({ side: THREE.DoubleSide, transparent: true, depthWrite: false });
+            case 'normals':
+                return this.createNormalsMaterial();
+            case 'clay':
+                return new THREE.MeshStandardMaterial({ color: 0xd9d4cc, roughness: 0.85, metalness: 0 });
+            default:
+                return source;
+        }
+    }
+    
+    // Normals with the source's emissive glow mixed in, so highlights stay visible
+    createNormalsMaterial() {
+        const material = new THREE.MeshNormalMaterial();
+        material.userData.highlight = { value: new THREE.Color(0x000000) };
+        
+        material.onBeforeCompile = (shader) => {
+            shader.uniforms.highlight = material.userData.highlight;
+            shader.fragmentShader = shader.fragmentShader
+                .replace('void main() {', 'uniform vec3 highlight;\nvoid main() {')
+                .replace('gl_FragColor = vec4( packNormalToRGB( normal ), opacity );', [
+                    'gl_FragColor = vec4( packNormalToRGB( normal ), opacity );',
+                    'float highlightAmount = max( max( highlight.r, highlight.g ), highlight.b );',
+                    'if ( highlightAmount > 0.0 ) gl_FragColor.rgb = mix( gl_FragColor.rgb, highlight / highlightAmount, highlightAmount );'
+                ].join('\n'));
+        };
+        material.customProgramCacheKey = () => 'normals-highlight';
+        
+        return material;
+    }
+    
+    // Method to copy what the modes keep from the source: highlights, fading and clipping
+    syncModeMaterial(source, material, mode) {
+        const emissive = source.emissive ? source.emissive.clone().multiplyScalar(source.emissiveIntensity) : new THREE.Color(0x000000);
+        
+        material.clippingPlanes = source.clippingPlanes;
+        
+        if (mode === 'xray') {
+            if (source.color) material.color.copy(source.color);
+            material.emissive.copy(emissive);
+            material.opacity = 0.25 * source.opacity;
+        } else if (mode === 'normals') {
+            material.userData.highlight.value.copy(emissive);
+            material.transparent = source.transparent;
+            material.opacity = source.opacity;
+        } else if (mode === 'clay') {
+            material.emissive.copy(emissive);
+            material.transparent = source.transparent;
+            material.opacity = source.opacity;
+            material.depthWrite = source.depthWrite;
+        }
+    }
+    
+    // Method to point the target meshes at their mode materials, returns a function restoring them
+    swapTargetMaterials(mode, filter = () => true) {
+        const swapped = [];
+        
+        this.renderModeTargets.forEach(target => {
+            target.traverse(object => {
+                if (!object.isMesh || !filter(object)) return;
+                
+                swapped.push([object, object.material]);
+                object.material = Array.isArray(object.material)
+                    ? object.material.map(material => this.getModeMaterial(material, mode))
+                    : this.getModeMaterial(object.material, mode);
+            });
+        });
+        
+        return () => swapped.forEach(([object, material]) => {
+            object.material = material;
+        });
+    }
+    
+    // Method to render the scene through the effect passes, through another camera for e.g. screenshot tiles
+    render(camera = this.camera) {
+        // The draw calls of every pass add up to the frame's count
+        const info = this.renderer.info;
+        info.autoReset = false;
+        info.reset();
+        
+        this.effects.render(camera, this.getOutlinedParts());
+        
+        info.autoReset = true;
+    }
+    
+    // Method to draw the scene in the render mode into the current render target
+    drawScene(camera) {
+        if (this.renderMode === 'shaded') {
+            this.renderer.render(this.scene, camera);
+            return;
+        }
+        
+        if (this.renderMode !== 'wireframe') {
+            const restore = this.swapTargetMaterials(this.renderMode);
+            this.renderer.render(this.scene, camera);
+            restore();
+            return;
+        }
+        
+        // Wireframe overlay: the shaded scene, then only the product's visible meshes as lines on top
+        this.renderer.render(this.scene, camera);
+        
+        const overlayMeshes = [];
+        const restore = this.swapTargetMaterials('wireframe', object => {
+            if (!object.layers.test(camera.layers)) return false;
+            
+            object.layers.enable(OVERLAY_LAYER);
+            overlayMeshes.push(object);
+            return true;
+        });
+        
+        const cameraLayers = camera.layers.mask;
+        const autoClear = this.renderer.autoClear;
+        const shadowAutoUpdate = this.renderer.shadowMap.autoUpdate;
+        
+        camera.layers.set(OVERLAY_LAYER);
+        this.renderer.autoClear = false;
+        this.renderer.shadowMap.autoUpdate = false;
+        
+        this.renderer.render(this.scene, camera);
+        
+        camera.layers.mask = cameraLayers;
+        this.renderer.autoClear = autoClear;
+        this.renderer.shadowMap.autoUpdate = shadowAutoUpdate;
+        overlayMeshes.forEach(object => object.layers.disable(OVERLAY_LAYER));
+        restore();
+    }
+    
+    // Clean up method
+    destroy() {
+        this.resizeObserver.disconnect();
+        this.controls.dispose();
+        this.effects.dispose();
+        this.renderer.dispose();
+        
+        // Browsers only keep a few WebGL contexts alive, release this one now instead of on GC
+        this.renderer.forceContextLoss();
     }
 }
 
@@ -3,14 +3,27 @@
  */
 
 import * as THREE from 'three';
+import { MaterialStateManager } from './materialStates.js';
 
-export class InteractionManager {
-    constructor(camera, scene, canvas, productParts) {
+// Pointer travel in pixels before a press on a draggable part counts as a drag, not a click
+const DRAG_THRESHOLD = 4;
+
+// Dispatches 'selectionchange', 'hoverchange', 'dragstart', 'dragend' ({ object }) and 'partschange' events
+export class InteractionManager extends THREE.EventDispatcher {
+    constructor(camera, scene, canvas, productParts, getPartInfo = null, materialStates = new MaterialStateManager(), root = document) {
+        super();
+        
         this.camera = camera;
         this.scene = scene;
         this.canvas = canvas;
         this.productParts = productParts;
         
+        // Optional callback returning the metadata shown in the part info panel
+        this.getPartInfo = getPartInfo;
+        
+        // Isolation is a material state layered over each part's base material
+        this.materialStates = materialStates;
+        
         // Raycasting setup
         this.raycaster = new THREE.Raycaster();
         this.mouse = new THREE.Vector2();
@@ -18,15 +31,33 @@ export class InteractionManager {
         // State management
         this.hoveredObject = null;
         this.selectedObject = null;
-        this.originalMaterials = new Map();
+        this.isolatedObject = null;
+        
+        // Hover and selection are outlined while rendering, screenshots leave them out
+        this.highlightsHidden = false;
+        
+        // Tools such as the measure mode take over clicks while active
+        this.clickHandler = null;
+        
+        // Tools such as the joint controller can move parts dragged with the pointer
+        this.dragHandler = null;
+        this.draggedObject = null;
+        this.dragState = null;
+        this.suppressClick = false;
+        
+        // Planes of the section view, hits on the clipped-away side are ignored
+        this.clippingPlanes = [];
         
         // UI elements
-        this.partInfoPanel = document.getElementById('part-info');
-        this.partNameElement = document.getElementById('part-name');
-        this.closeInfoButton = document.getElementById('close-info');
+        this.partInfoPanel = root.getElementById('part-info');
+        this.partNameElement = root.getElementById('part-name');
+        this.partCountElement = root.getElementById('part-count');
+        this.partDescriptionElement = root.getElementById('part-description');
+        this.partDetailsElement = root.getElementById('part-details');
+        this.closeInfoButton = root.getElementById('close-info');
+        this.isolateButton = root.getElementById('isolate-part');
         
         this.setupEventListeners();
-        this.storeMaterials();
         
         console.log('Interaction manager initialized successfully');
     }
@@ -47,29 +78,130 @@ export class InteractionManager {
             this.hidePartInfo();
         });
         
+        // Isolate the selected part, fading the rest
+        this.isolateButton.addEventListener('click', () => {
+            this.toggleIsolation();
+        });
+        
         // Handle mouse leave to clear hover
         this.canvas.addEventListener('mouseleave', () => {
             this.clearHover();
         });
+        
+        // Part drags, the press is captured so it's claimed before the orbit controls see it
+        this.boundPointerDown = (event) => this.onPointerDown(event);
+        this.boundPointerMove = (event) => this.onPointerMove(event);
+        this.boundPointerUp = () => this.endDrag();
+        
+        this.canvas.addEventListener('pointerdown', this.boundPointerDown, { capture: true });
+        this.canvas.addEventListener('pointermove', this.boundPointerMove);
+        this.canvas.addEventListener('pointerup', this.boundPointerUp);
+        this.canvas.addEventListener('pointercancel', this.boundPointerUp);
     }
     
-    storeMaterials() {
-        // Store original materials for restoration
-        this.productParts.forEach(part => {
-            this.originalMaterials.set(part.uuid, part.material.clone());
-        });
+    // Method to swap in a new set of parts, e.g. after a model is loaded
+    setProductParts(productParts) {
+        this.endDrag();
+        this.clearHover();
+        this.deselectObject();
+        
+        this.clearIsolation();
+        this.productParts = productParts;
+        
+        this.dispatchEvent({ type: 'partschange' });
+    }
+    
+    // Method to pick up parts added or removed in place, e.g. after a chair rebuild
+    syncProductParts() {
+        const currentParts = new Set(this.productParts);
+        
+        // Removed parts can't be restored, just drop the references
+        if (this.hoveredObject && !currentParts.has(this.hoveredObject)) {
+            this.hoveredObject = null;
+            this.canvas.style.cursor = 'default';
+            this.dispatchEvent({ type: 'hoverchange', object: null });
+        }
+        if (this.selectedObject && !currentParts.has(this.selectedObject)) {
+            this.selectedObject = null;
+            this.hidePartInfo();
+            this.dispatchEvent({ type: 'selectionchange', object: null });
+        }
+        
+        // Rebuilt parts wouldn't be ghosted, so isolation doesn't survive a rebuild
+        this.clearIsolation();
+        
+        // Counts like "1 of 4" may have changed
+        this.refreshPartInfo();
+        
+        this.dispatchEvent({ type: 'partschange' });
     }
     
     onMouseMove(event) {
+        // The dragged part keeps its hover while the pointer is moved
+        if (this.dragState) return;
+        
         this.updateMousePosition(event);
         this.handleHover();
     }
     
     onMouseClick(event) {
+        // Releasing a dragged part isn't a click on it
+        if (this.suppressClick) {
+            this.suppressClick = false;
+            return;
+        }
+        
         this.updateMousePosition(event);
         this.handleClick();
     }
     
+    onPointerDown(event) {
+        if (!this.dragHandler || this.clickHandler || event.button !== 0) return;
+        
+        this.updateMousePosition(event);
+        const intersect = this.intersectParts()[0];
+        if (!intersect || !this.dragHandler.canDrag(intersect.object)) return;
+        
+        this.dragState = { pointerId: event.pointerId, startX: event.clientX, startY: event.clientY, moved: false };
+        this.draggedObject = intersect.object;
+        this.suppressClick = false;
+        this.canvas.setPointerCapture(event.pointerId);
+        this.canvas.style.cursor = 'grabbing';
+        
+        this.dragHandler.start(intersect, this.mouse);
+        this.dispatchEvent({ type: 'dragstart', object: this.draggedObject });
+    }
+    
+    onPointerMove(event) {
+        if (!this.dragState || event.pointerId !== this.dragState.pointerId) return;
+        
+        const distance = Math.hypot(event.clientX - this.dragState.startX, event.clientY - this.dragState.startY);
+        if (distance > DRAG_THRESHOLD) {
+            this.dragState.moved = true;
+        }
+        
+        this.updateMousePosition(event);
+        this.dragHandler.drag(this.mouse);
+    }
+    
+    // Method to finish the current part drag, if any
+    endDrag() {
+        if (!this.dragState) return;
+        
+        const object = this.draggedObject;
+        if (this.canvas.hasPointerCapture(this.dragState.pointerId)) {
+            this.canvas.releasePointerCapture(this.dragState.pointerId);
+        }
+        
+        this.suppressClick = this.dragState.moved;
+        this.dragState = null;
+        this.draggedObject = null;
+        this.dragHandler.end();
+        
+        this.canvas.style.cursor = this.hoveredObject ? 'grab' : 'default';
+        this.dispatchEvent({ type: 'dragend', object });
+    }
+    
     updateMousePosition(event) {
         const rect = this.canvas.getBoundingClientRect();
         
@@ -77,38 +209,66 @@ export class InteractionManager {
         this.mouse.y = -((event.clientY - rect.top) / rect.height) * 2 + 1;
     }
     
-    handleHover() {
-        // Update raycaster
+    // Method to raycast the visible parts under the mouse
+    intersectParts() {
         this.raycaster.setFromCamera(this.mouse, this.camera);
         
+        // The raycaster doesn't skip hidden or clipped objects on its own
+        return this.raycaster.intersectObjects(this.productParts)
+            .filter(intersect => this.isPartVisible(intersect.object))
+            .filter(intersect => this.clippingPlanes.every(plane => plane.distanceToPoint(intersect.point) >= 0));
+    }
+    
+    isPartVisible(part) {
+        for (let object = part; object; object = object.parent) {
+            if (!object.visible) return false;
+        }
+        return true;
+    }
+    
+    handleHover() {
         // Check for intersections
-        const intersects = this.raycaster.intersectObjects(this.productParts);
+        const intersects = this.intersectParts();
+        
+        // Hover effects scale parts, which would shift picked surface points
+        if (this.clickHandler) {
+            this.canvas.style.cursor = intersects.length > 0 ? 'crosshair' : 'default';
+            return;
+        }
         
         if (intersects.length > 0) {
-            const hoveredObject = intersects[0].object;
+            const object = intersects[0].object;
+            this.hoverObject(object);
             
-            if (this.hoveredObject !== hoveredObject) {
-                // Clear previous hover
-                this.clearHover();
-                
-                // Set new hover
-                this.hoveredObject = hoveredObject;
-                this.applyHoverEffect(hoveredObject);
-                
-                // Change cursor
-                this.canvas.style.cursor = 'pointer';
-            }
+            // Change cursor, draggable parts can be grabbed
+            this.canvas.style.cursor = this.dragHandler && this.dragHandler.canDrag(object) ? 'grab' : 'pointer';
         } else {
             this.clearHover();
         }
     }
     
-    handleClick() {
-        // Update raycaster
-        this.raycaster.setFromCamera(this.mouse, this.camera);
+    // Method to hover a part, also used by the parts outliner
+    hoverObject(object) {
+        if (this.hoveredObject === object) return;
+        
+        // Clear previous hover
+        this.clearHover();
+        
+        // Set new hover
+        this.hoveredObject = object;
+        this.applyHoverEffect(object);
         
+        this.dispatchEvent({ type: 'hoverchange', object });
+    }
+    
+    handleClick() {
         // Check for intersections
-        const intersects = this.raycaster.intersectObjects(this.productParts);
+        const intersects = this.intersectParts();
+        
+        if (this.clickHandler) {
+            this.clickHandler(intersects[0] || null);
+            return;
+        }
         
         if (intersects.length > 0) {
             const clickedObject = intersects[0].object;
@@ -118,6 +278,23 @@ export class InteractionManager {
         }
     }
     
+    // Method to route clicks to a tool instead of selecting, pass null to restore selection
+    setClickHandler(handler) {
+        this.clickHandler = handler;
+        
+        if (handler) {
+            this.clearHover();
+            this.deselectObject();
+        }
+    }
+    
+    // Method to let a tool move parts by dragging, pass null to turn dragging off.
+    // The handler has canDrag(part), start(intersect, pointer), drag(pointer) and end()
+    setDragHandler(handler) {
+        this.endDrag();
+        this.dragHandler = handler;
+    }
+    
     selectObject(object) {
         // Clear previous selection
         this.deselectObject();
@@ -130,6 +307,7 @@ export class InteractionManager {
         // Add pulse animation
         this.addPulseAnimation(object);
         
+        this.dispatchEvent({ type: 'selectionchange', object });
         console.log('Selected:', object.userData.name);
     }
     
@@ -138,19 +316,85 @@ export class InteractionManager {
             this.clearSelectionEffect(this.selectedObject);
             this.removePulseAnimation(this.selectedObject);
             this.selectedObject = null;
+            this.dispatchEvent({ type: 'selectionchange', object: null });
         }
         this.hidePartInfo();
     }
     
-    applyHoverEffect(object) {
-        if (object === this.selectedObject) return;
+    // Method to show or hide a part, hidden parts can't stay hovered or selected
+    setPartVisible(part, visible) {
+        part.visible = visible;
         
-        // Create hover material with stronger effect
-        const hoverMaterial = this.originalMaterials.get(object.uuid).clone();
-        hoverMaterial.emissive = new THREE.Color(0x4444FF); // Blue glow
-        hoverMaterial.emissiveIntensity = 0.4; // Stronger intensity
+        if (!visible && this.hoveredObject && !this.isPartVisible(this.hoveredObject)) {
+            this.clearHover();
+        }
+        if (!visible && this.selectedObject && !this.isPartVisible(this.selectedObject)) {
+            this.deselectObject();
+        }
+    }
+    
+    // Method to get the parts the renderer outlines, the hovered one only while it isn't selected
+    getOutlinedParts() {
+        if (this.highlightsHidden) {
+            return { hovered: null, selected: null };
+        }
+        
+        return {
+            hovered: this.hoveredObject !== this.selectedObject ? this.hoveredObject : null,
+            selected: this.selectedObject
+        };
+    }
+    
+    // Method to run a callback with the hover and selection effects taken off, e.g. for a screenshot
+    withoutHighlights(callback) {
+        const highlighted = [...new Set([this.hoveredObject, this.selectedObject])].filter(Boolean).map(part => ({
+            part,
+            scale: part.scale.clone()
+        }));
         
-        object.material = hoverMaterial;
+        highlighted.forEach(({ part }) => {
+            if (part.userData.originalScale) {
+                part.scale.copy(part.userData.originalScale);
+            }
+        });
+        this.highlightsHidden = true;
+        
+        try {
+            return callback();
+        } finally {
+            this.highlightsHidden = false;
+            highlighted.forEach(({ part, scale }) => {
+                part.scale.copy(scale);
+            });
+        }
+    }
+    
+    // Method to isolate the selected part, or to show all parts again
+    toggleIsolation() {
+        if (this.isolatedObject) {
+            this.clearIsolation();
+        } else if (this.selectedObject) {
+            this.isolatedObject = this.selectedObject;
+            this.materialStates.isolate([this.selectedObject], this.productParts);
+            this.updateIsolateButton();
+        }
+    }
+    
+    clearIsolation() {
+        if (!this.isolatedObject) return;
+        
+        this.materialStates.clearIsolation(this.productParts);
+        this.isolatedObject = null;
+        this.updateIsolateButton();
+    }
+    
+    updateIsolateButton() {
+        this.isolateButton.textContent = this.isolatedObject ? 'Show All' : 'Isolate';
+        this.isolateButton.classList.toggle('active', Boolean(this.isolatedObject));
+    }
+    
+    applyHoverEffect(object) {
+        if (object === this.selectedObject) return;
         
         // Add scale effect - make it slightly larger
         if (!object.userData.originalScale) {
@@ -164,13 +408,6 @@ export class InteractionManager {
     }
     
     applySelectionEffect(object) {
-        // Create selection material with same color as hover
-        const selectionMaterial = this.originalMaterials.get(object.uuid).clone();
-        selectionMaterial.emissive = new THREE.Color(0x4444FF); // Blue glow (same as hover)
-        selectionMaterial.emissiveIntensity = 0.5; // Slightly stronger than hover
-        
-        object.material = selectionMaterial;
-        
         // Remove hover effects when selected
         if (object.userData.hovering) {
             object.userData.hovering = false;
@@ -179,9 +416,6 @@ export class InteractionManager {
     
     clearHover() {
         if (this.hoveredObject && this.hoveredObject !== this.selectedObject) {
-            // Restore original material
-            this.hoveredObject.material = this.originalMaterials.get(this.hoveredObject.uuid);
-            
             // Restore original scale
             if (this.hoveredObject.userData.originalScale) {
                 this.hoveredObject.scale.copy(this.hoveredObject.userData.originalScale);
@@ -191,6 +425,7 @@ export class InteractionManager {
             this.hoveredObject.userData.hovering = false;
             
             this.hoveredObject = null;
+            this.dispatchEvent({ type: 'hoverchange', object: null });
         }
         
         // Reset cursor
@@ -198,9 +433,6 @@ export class InteractionManager {
     }
     
     clearSelectionEffect(object) {
-        // Restore original material
-        object.material = this.originalMaterials.get(object.uuid);
-        
         // Restore original scale if it was modified
         if (object.userData.originalScale) {
             object.scale.copy(object.userData.originalScale);
@@ -263,15 +495,72 @@ export class InteractionManager {
     }
     
     showPartInfo(object) {
-        const partName = object.userData.name || 'Unknown Part';
-        this.partNameElement.textContent = partName;
+        const info = this.getPartInfo ? this.getPartInfo(object) : { name: object.userData.name || 'Unknown Part' };
+        
+        this.partNameElement.textContent = info.name;
+        
+        // "1 of 4" style indicator for parts sharing a partType
+        this.partCountElement.textContent = info.count > 1 ? `${info.index} of ${info.count}` : '';
+        this.partDescriptionElement.textContent = info.description || '';
+        this.partDescriptionElement.classList.toggle('hidden', !info.description);
+        
+        this.renderPartDetails(info);
         this.partInfoPanel.classList.remove('hidden');
     }
     
+    renderPartDetails(info) {
+        const rows = [];
+        
+        if (info.material) {
+            rows.push(['Material', info.material]);
+        }
+        if (info.dimensions) {
+            const { width, height, depth } = info.dimensions;
+            rows.push(['Dimensions', `${width.toFixed(2)} × ${height.toFixed(2)} × ${depth.toFixed(2)} m (W × H × D)`]);
+        }
+        if (info.estimate) {
+            const { volume, weight, cost, currency } = info.estimate;
+            rows.push(['Volume', `${volume.toFixed(4)} m³`]);
+            
+            if (weight !== null) {
+                const formatter = new Intl.NumberFormat(undefined, { style: 'currency', currency });
+                rows.push(['Weight', `${weight.toFixed(2)} kg (est.)`]);
+                rows.push(['Material cost', `${formatter.format(cost)} (est.)`]);
+            }
+        }
+        if (info.sku) {
+            rows.push(['SKU', info.sku]);
+        }
+        if (info.price !== null && info.price !== undefined) {
+            const formatter = new Intl.NumberFormat(undefined, { style: 'currency', currency: info.currency });
+            rows.push(['Price', formatter.format(info.price)]);
+        }
+        
+        this.partDetailsElement.replaceChildren(...rows.flatMap(([label, value]) => {
+            const term = document.createElement('dt');
+            term.textContent = label;
+            const detail = document.createElement('dd');
+            detail.textContent = value;
+            return [term, detail];
+        }));
+    }
+    
+    // Method to re-render the panel after the selected part's data changes
+    refreshPartInfo() {
+        if (this.selectedObject) {
+            this.showPartInfo(this.selectedObject);
+        }
+    }
+    
     hidePartInfo() {
         this.partInfoPanel.classList.add('hidden');
     }
     
+    // Method to tell whether a part is pulsing, breathing under the pointer or being dragged
+    hasRunningAnimation() {
+        return Boolean(this.dragState) || this.productParts.some(part => part.userData.pulsing || part.userData.hovering);
+    }
+    
     // Method to be called in the animation loop
     update(deltaTime) {
         this.updatePulseAnimations(deltaTime);
@@ -282,6 +571,10 @@ export class InteractionManager {
         this.canvas.removeEventListener('mousemove', this.onMouseMove);
         this.canvas.removeEventListener('click', this.onMouseClick);
         this.canvas.removeEventListener('mouseleave', this.clearHover);
+        this.canvas.removeEventListener('pointerdown', this.boundPointerDown, { capture: true });
+        this.canvas.removeEventListener('pointermove', this.boundPointerMove);
+        this.canvas.removeEventListener('pointerup', this.boundPointerUp);
+        this.canvas.removeEventListener('pointercancel', this.boundPointerUp);
         this.closeInfoButton.removeEventListener('click', this.hidePartInfo);
     }
 }
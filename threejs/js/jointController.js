@@ -0,0 +1,178 @@
+/**
+ * Joint Controller Module
+ */
+
+import * as THREE from 'three';
+
+// Time the demo motion spends on each joint, in milliseconds
+const DEMO_JOINT_DURATION = 2500;
+
+export class JointController {
+    constructor(productCreator, interactionManager, root = document) {
+        this.productCreator = productCreator;
+        this.interactionManager = interactionManager;
+        
+        // Drag state, the joint being turned and the grabbed point in the joint's space
+        this.drag = null;
+        
+        // Demo motion state, joints are swept one after another
+        this.demo = null;
+        
+        // UI elements
+        this.controlsElement = root.getElementById('joint-controls');
+        this.demoButton = root.getElementById('demo-motion');
+        this.resetButton = root.getElementById('reset-joints');
+        
+        this.setupEventListeners();
+        this.refresh();
+        
+        console.log('Joint controller initialized successfully');
+    }
+    
+    setupEventListeners() {
+        // Store bound methods for proper cleanup
+        this.boundToggleDemo = () => this.demo ? this.stopDemo() : this.startDemo();
+        this.boundReset = () => this.resetPose();
+        this.boundRefresh = () => this.refresh();
+        
+        this.demoButton.addEventListener('click', this.boundToggleDemo);
+        this.resetButton.addEventListener('click', this.boundReset);
+        
+        // Loaded products and reconfigured chairs may have other joints
+        this.interactionManager.addEventListener('partschange', this.boundRefresh);
+        
+        this.interactionManager.setDragHandler({
+            canDrag: (part) => this.productCreator.getPartJoint(part) !== null,
+            start: (intersect, pointer) => this.startDrag(intersect, pointer),
+            drag: (pointer) => this.updateDrag(pointer),
+            end: () => {
+                this.drag = null;
+            }
+        });
+    }
+    
+    refresh() {
+        const joints = this.productCreator.getJoints();
+        
+        if (this.demo && !joints.includes(this.demo.joints[this.demo.index])) {
+            this.stopDemo();
+        }
+        
+        this.controlsElement.classList.toggle('hidden', joints.length === 0);
+    }
+    
+    startDrag(intersect, pointer) {
+        // Dragging takes over from the demo
+        this.stopDemo();
+        
+        const joint = this.productCreator.getPartJoint(intersect.object);
+        this.drag = {
+            joint,
+            angle: joint.angle,
+            pointer: pointer.clone(),
+            localPoint: joint.group.worldToLocal(intersect.point.clone())
+        };
+    }
+    
+    // Method to turn the dragged joint so the grabbed point follows the pointer. The pointer
+    // movement is projected onto the screen direction the point moves in as the joint turns,
+    // which works from any view, unlike dragging on the plane of rotation
+    updateDrag(pointer) {
+        const { joint } = this.drag;
+        const camera = this.interactionManager.camera;
+        const parentMatrix = joint.group.parent.matrixWorld;
+        
+        const pivot = joint.pivot.clone().applyMatrix4(parentMatrix);
+        const axis = joint.axis.clone().transformDirection(parentMatrix);
+        const point = joint.group.localToWorld(this.drag.localPoint.clone());
+        
+        // Screen velocity of the grabbed point per radian, with x in the same units as y
+        const tangent = axis.clone().cross(point.clone().sub(pivot));
+        const screenPoint = point.clone().project(camera);
+        const screenTangent = point.clone().add(tangent.multiplyScalar(0.01)).project(camera).sub(screenPoint).multiplyScalar(100);
+        const velocity = new THREE.Vector2(screenTangent.x * camera.aspect, screenTangent.y);
+        const movement = new THREE.Vector2((pointer.x - this.drag.pointer.x) * camera.aspect, pointer.y - this.drag.pointer.y);
+        this.drag.pointer.copy(pointer);
+        
+        // Points moving straight towards the camera can't follow the pointer
+        if (velocity.lengthSq() < 1e-6) return;
+        
+        // The unclamped angle keeps the part under the pointer after being dragged past a limit
+        this.drag.angle += movement.dot(velocity) / velocity.lengthSq();
+        this.productCreator.setJointAngle(joint.name, this.drag.angle);
+    }
+    
+    startDemo() {
+        const joints = this.productCreator.getJoints();
+        if (joints.length === 0) return;
+        
+        this.resetPose();
+        this.demo = { joints, index: 0, time: 0 };
+        this.demoButton.textContent = 'Stop Demo';
+        this.demoButton.classList.add('active');
+    }
+    
+    stopDemo() {
+        if (!this.demo) return;
+        
+        this.demo = null;
+        this.resetPose();
+        this.demoButton.textContent = 'Demo Motion';
+        this.demoButton.classList.remove('active');
+    }
+    
+    resetPose() {
+        this.productCreator.getJoints().forEach(joint => {
+            this.productCreator.setJointAngle(joint.name, joint.restAngle);
+        });
+    }
+    
+    // Method to get a joint's demo angle: out to its upper limit, over to the lower one, back to rest
+    getDemoAngle(joint, progress) {
+        const [min, max] = joint.limits;
+        const ease = t => t * t * (3 - 2 * t);
+        
+        if (progress < 0.25) {
+            return THREE.MathUtils.lerp(joint.restAngle, max, ease(progress / 0.25));
+        }
+        if (progress < 0.75) {
+            return THREE.MathUtils.lerp(max, min, ease((progress - 0.25) / 0.5));
+        }
+        return THREE.MathUtils.lerp(min, joint.restAngle, ease((progress - 0.75) / 0.25));
+    }
+    
+    hasRunningAnimation() {
+        return Boolean(this.demo);
+    }
+    
+    // Method to be called in the animation loop
+    update(deltaTime) {
+        if (!this.demo) return;
+        
+        this.demo.time += deltaTime;
+        const joint = this.demo.joints[this.demo.index];
+        const progress = Math.min(this.demo.time / DEMO_JOINT_DURATION, 1);
+        this.productCreator.setJointAngle(joint.name, this.getDemoAngle(joint, progress));
+        
+        if (progress === 1) {
+            this.demo.index++;
+            this.demo.time = 0;
+            
+            if (this.demo.index === this.demo.joints.length) {
+                this.stopDemo();
+            }
+        }
+    }
+    
+    // Clean up method
+    destroy() {
+        this.stopDemo();
+        this.interactionManager.setDragHandler(null);
+        
+        this.demoButton.removeEventListener('click', this.boundToggleDemo);
+        this.resetButton.removeEventListener('click', this.boundReset);
+        this.interactionManager.removeEventListener('partschange', this.boundRefresh);
+    }
+}
+
+// ES6 export (already done above) 
\ No newline at end of file
@@ -8,23 +8,111 @@ import { ProductCreator } from './createProduct.js';
 import { LightingManager } from './addLighting.js';
 import { InteractionManager } from './interaction.js';
 import { CameraAnimator } from './cameraAnimation.js';
+import { ChairConfigurator } from './chairConfigurator.js';
+import { MaterialSwitcher } from './materialSwitcher.js';
+import { ExplodedView } from './explodedView.js';
+import { ProductPicker } from './productPicker.js';
+import { PRODUCT_CATALOG, getCatalogProduct } from './productCatalog.js';
+import { ProductExporter } from './productExporter.js';
+import { BomExporter } from './bomExporter.js';
+import { PartsOutliner } from './partsOutliner.js';
+import { MeasureTool } from './measureTool.js';
+import { PartBatcher } from './partBatcher.js';
+import { SectionView } from './sectionView.js';
+import { ProductTotals } from './productTotals.js';
+import { StabilityAnalyzer } from './stabilityAnalyzer.js';
+import { AssemblyValidator } from './assemblyValidator.js';
+import { JointController } from './jointController.js';
+import { ScreenshotExporter } from './screenshotExporter.js';
+import { EnvironmentManager } from './environmentManager.js';
+import { ProductDefinitionError } from './productDefinition.js';
+
+// Options of a viewer instance. camera and orbit default to the SceneManager's start view
+// and limits, effects to DEFAULT_EFFECTS_OPTIONS in postProcessing.js, environment to
+// DEFAULT_ENVIRONMENT_OPTIONS in environmentManager.js, and ui switches off interface parts
+// by their UI_ELEMENTS key, e.g. { toolbar: false }
+export const DEFAULT_VIEWER_OPTIONS = {
+    product: PRODUCT_CATALOG[0].id, // Catalog id of the product shown on start
+    productUrl: null, // Product definition JSON to show instead
+    modelUrl: null, // glTF model to show instead
+    camera: {},
+    orbit: {},
+    effects: {},
+    environment: {},
+    autoRotate: true,
+    floating: true, // Idle up and down motion of the product, off by default with renderOnDemand
+    renderOnDemand: false, // Only draw frames while something changes, see App.requestRender()
+    ui: {}
+};
+
+// Longest time step in milliseconds, animations continue smoothly after the loop was paused
+const MAX_FRAME_TIME = 100;
+
+// Interface parts that can be switched off, by element id
+export const UI_ELEMENTS = {
+    productInfo: 'product-info',
+    productPicker: 'product-picker',
+    partInfo: 'part-info',
+    sidePanel: 'side-panel',
+    materials: 'material-switcher',
+    outliner: 'outliner',
+    environment: 'environment-panel',
+    configurator: 'configurator',
+    toolbar: 'controls',
+    loadModel: 'load-model'
+};
 
 class App {
-    constructor() {
+    // The root holds the viewer markup, a shadow root per instance so element ids don't clash
+    constructor(root = document, options = {}) {
+        this.root = root;
+        this.options = { ...DEFAULT_VIEWER_OPTIONS, ...options };
+        
+        // The floating motion never ends, it would keep an on-demand viewer drawing every frame
+        if (options.floating === undefined) {
+            this.options.floating = !this.options.renderOnDemand;
+        }
+        
         // Module instances
         this.sceneManager = null;
         this.productCreator = null;
         this.lightingManager = null;
+        this.environmentManager = null;
         this.interactionManager = null;
         this.cameraAnimator = null;
+        this.chairConfigurator = null;
+        this.materialSwitcher = null;
+        this.explodedView = null;
+        this.productPicker = null;
+        this.productExporter = null;
+        this.bomExporter = null;
+        this.screenshotExporter = null;
+        this.partsOutliner = null;
+        this.measureTool = null;
+        this.partBatcher = null;
+        this.sectionView = null;
+        this.productTotals = null;
+        this.stabilityAnalyzer = null;
+        this.assemblyValidator = null;
+        this.jointController = null;
+        
+        // Ground plane, left out of transparent screenshots
+        this.groundPlane = null;
         
         // Animation loop variables
         this.animationId = null;
         this.clock = new THREE.Clock();
         this.isRunning = false;
+        this.isDestroyed = false;
+        this.isInitializing = true;
         
-        // Initialize the application
-        this.init();
+        // The loop pauses while the tab is hidden or the canvas is scrolled out of view
+        this.isOnScreen = true;
+        this.isVisible = true;
+        this.intersectionObserver = null;
+        
+        // Initialize the application, resolves once the viewer is running
+        this.ready = this.init();
     }
     
     async init() {
@@ -36,6 +124,13 @@ class App {
             
             // Initialize modules in sequence
             await this.initializeModules();
+            this.isInitializing = false;
+            
+            // Removed from the page while loading, destroy() left the modules to clean up here
+            if (this.isDestroyed) {
+                this.teardown();
+                return;
+            }
             
             // Start the animation loop
             this.start();
@@ -46,6 +141,12 @@ class App {
             console.log('3D Product Viewer initialized successfully!');
             
         } catch (error) {
+            this.isInitializing = false;
+            if (this.isDestroyed) {
+                this.teardown();
+                return;
+            }
+            
             console.error('Failed to initialize application:', error);
             this.showError('Failed to load 3D viewer. Please refresh the page.');
         }
@@ -53,7 +154,11 @@ class App {
     
     async initializeModules() {
         // Initialize scene manager
-        this.sceneManager = new SceneManager();
+        this.sceneManager = new SceneManager(this.root.getElementById('three-canvas'), {
+            camera: this.options.camera,
+            orbit: this.options.orbit,
+            effects: this.options.effects
+        });
         
         // Add a small delay to ensure DOM is ready
         await this.delay(100);
@@ -62,27 +167,369 @@ class App {
         this.lightingManager = new LightingManager(this.sceneManager.scene);
         
         // Add ground plane for shadows
-        this.lightingManager.createGroundPlane();
+        this.groundPlane = this.lightingManager.createGroundPlane();
+        
+        // Initialize image-based lighting and the background
+        this.environmentManager = new EnvironmentManager(
+            this.sceneManager,
+            this.lightingManager,
+            this.options.environment,
+            () => this.showError('Failed to load the environment. See the console for details.'),
+            this.root
+        );
+        if (this.options.environment.url) {
+            await this.environmentManager.loadEnvironment(this.options.environment.url);
+        }
         
         // Initialize product
         this.productCreator = new ProductCreator(this.sceneManager.scene);
         
+        // Replace the built-in chair with a definition or model file, or another catalog product
+        if (this.options.productUrl) {
+            await this.loadProductDefinition(this.options.productUrl);
+        } else if (this.options.modelUrl) {
+            await this.loadModel(this.options.modelUrl);
+        } else if (this.options.product !== PRODUCT_CATALOG[0].id) {
+            this.productCreator.loadDefinition(getCatalogProduct(this.options.product).definition);
+            this.onProductChanged();
+        }
+        
         // Initialize interaction manager
         this.interactionManager = new InteractionManager(
             this.sceneManager.camera,
             this.sceneManager.scene,
             this.sceneManager.canvas,
-            this.productCreator.getInteractiveParts()
+            this.productCreator.getInteractiveParts(),
+            (part) => this.productCreator.getPartInfo(part),
+            this.productCreator.materialStates,
+            this.root
         );
         
+        // Hover and selection are drawn as outlines around the parts
+        this.sceneManager.setOutlineSource(() => this.interactionManager.getOutlinedParts());
+        
         // Initialize camera animator
         this.cameraAnimator = new CameraAnimator(
             this.sceneManager.camera,
-            this.sceneManager.controls
+            this.sceneManager.controls,
+            new THREE.Vector3().fromArray(this.sceneManager.cameraOptions.target),
+            this.root
+        );
+        if (!this.options.autoRotate) {
+            this.cameraAnimator.toggleAutoRotation();
+        }
+        
+        // Frame a start product other than the built-in chair, as switching to it in the picker does
+        if (this.options.productUrl || this.options.modelUrl || this.options.product !== PRODUCT_CATALOG[0].id) {
+            this.cameraAnimator.frameProduct(this.productCreator.getProductBounds());
+        }
+        
+        // Initialize chair configurator
+        this.chairConfigurator = new ChairConfigurator(
+            this.productCreator,
+            this.interactionManager,
+            this.root
+        );
+        
+        // Initialize material variant switcher
+        this.materialSwitcher = new MaterialSwitcher(
+            this.productCreator,
+            this.interactionManager,
+            this.root
+        );
+        
+        // Initialize exploded view
+        this.explodedView = new ExplodedView(this.productCreator, this.root);
+        
+        // Initialize product picker, custom products aren't part of the catalog
+        this.productPicker = new ProductPicker((id) => this.switchProduct(id), this.root);
+        const catalogProduct = PRODUCT_CATALOG.find(product => product.definition === this.productCreator.productDefinition);
+        this.productPicker.setActive(catalogProduct ? catalogProduct.id : null);
+        
+        // Initialize exporter, hover/selection materials are swapped for the base ones
+        this.productExporter = new ProductExporter(
+            this.productCreator,
+            (part) => this.productCreator.materialStates.getBaseMaterial(part),
+            () => this.showError('Export failed. See the console for details.'),
+            this.root
+        );
+        
+        // Initialize bill of materials export
+        this.bomExporter = new BomExporter(this.productCreator, this.productExporter, this.root);
+        
+        // Initialize high-resolution screenshots
+        this.screenshotExporter = new ScreenshotExporter(
+            this.sceneManager,
+            this.interactionManager,
+            this.productCreator,
+            this.productExporter,
+            this.groundPlane,
+            this.environmentManager,
+            this.root
+        );
+        
+        // Initialize parts outliner
+        this.partsOutliner = new PartsOutliner(this.interactionManager, this.root);
+        
+        // Initialize measure tool
+        this.measureTool = new MeasureTool(
+            this.sceneManager.scene,
+            this.productCreator,
+            this.interactionManager,
+            this.root
+        );
+        
+        // Initialize instanced rendering of repeated parts
+        this.partBatcher = new PartBatcher(
+            this.sceneManager.scene,
+            this.productCreator,
+            this.interactionManager,
+            this.root
+        );
+        
+        // Initialize section view
+        this.sectionView = new SectionView(
+            this.sceneManager,
+            this.productCreator,
+            this.interactionManager,
+            this.root
         );
         
+        // Initialize weight, volume and cost totals
+        this.productTotals = new ProductTotals(this.productCreator, this.interactionManager, this.root);
+        
+        // Initialize center of mass and tipping analysis
+        this.stabilityAnalyzer = new StabilityAnalyzer(
+            this.sceneManager.scene,
+            this.productCreator,
+            this.interactionManager,
+            this.root
+        );
+        
+        // Initialize overlap and floating part checks
+        this.assemblyValidator = new AssemblyValidator(this.productCreator, this.interactionManager, this.root);
+        
+        // Initialize dragging and demo motion of jointed parts
+        this.jointController = new JointController(this.productCreator, this.interactionManager, this.root);
+        
+        // A part drag claims the press, so the orbit controls mustn't start turning the camera.
+        // The camera animator enables them again on the next frame
+        this.interactionManager.addEventListener('dragstart', () => {
+            this.sceneManager.controls.enabled = false;
+        });
+        
+        // Render modes apply to the product, drawn directly or through the batches
+        this.sceneManager.addRenderModeTarget(this.productCreator.getProductGroup());
+        this.sceneManager.addRenderModeTarget(this.partBatcher.root);
+        
         // Add floating animation to the product
-        this.productCreator.addFloatingAnimation();
+        if (this.options.floating) {
+            this.productCreator.addFloatingAnimation();
+        }
+        
+        this.setupModelPicker();
+        this.setupRenderModePicker();
+        this.setupEffectsControls();
+        this.applyUiOptions();
+        this.setupRenderTriggers();
+    }
+    
+    // Method to request frames for whatever changes the view outside the module animations
+    setupRenderTriggers() {
+        this.boundRequestRender = () => this.requestRender();
+        this.boundVisibilityChange = () => this.updateVisibility();
+        
+        // Camera moves, including the damping after the pointer is released
+        this.sceneManager.controls.addEventListener('change', this.boundRequestRender);
+        
+        // Any use of the interface, e.g. a button, slider or click on a part
+        ['click', 'input', 'change'].forEach(type => this.root.addEventListener(type, this.boundRequestRender));
+        
+        // Scene changes that don't come from the interface, e.g. a loaded model
+        ['partschange', 'selectionchange', 'hoverchange', 'dragstart'].forEach(type => {
+            this.interactionManager.addEventListener(type, this.boundRequestRender);
+        });
+        this.productCreator.addEventListener('variantchange', this.boundRequestRender);
+        this.environmentManager.addEventListener('environmentchange', this.boundRequestRender);
+        
+        document.addEventListener('visibilitychange', this.boundVisibilityChange);
+        this.intersectionObserver = new IntersectionObserver((entries) => {
+            this.isOnScreen = entries[entries.length - 1].isIntersecting;
+            this.updateVisibility();
+        });
+        this.intersectionObserver.observe(this.sceneManager.canvas);
+    }
+    
+    updateVisibility() {
+        this.isVisible = this.isOnScreen && !document.hidden;
+        
+        if (this.isVisible) {
+            this.requestRender();
+        } else if (this.animationId) {
+            cancelAnimationFrame(this.animationId);
+            this.animationId = null;
+        }
+    }
+    
+    // Method to check whether anything still moves, on-demand rendering continues until nothing does
+    hasRunningAnimation() {
+        return [
+            this.cameraAnimator,
+            this.productCreator,
+            this.explodedView,
+            this.stabilityAnalyzer,
+            this.jointController,
+            this.interactionManager
+        ].some(module => module && module.hasRunningAnimation());
+    }
+    
+    // Method to hide the interface parts switched off in the ui option
+    applyUiOptions() {
+        Object.entries(this.options.ui).forEach(([key, enabled]) => {
+            if (!(key in UI_ELEMENTS)) {
+                throw new Error(`Unknown viewer UI element: ${key}`);
+            }
+            
+            this.root.getElementById(UI_ELEMENTS[key]).classList.toggle('ui-disabled', !enabled);
+        });
+    }
+    
+    async switchProduct(id) {
+        if (this.productCreator.isTransitioning()) return;
+        
+        const product = getCatalogProduct(id);
+        this.productPicker.setBusy(true);
+        
+        try {
+            // Parts are swapped while the old product is scaled out, its GPU resources are freed there
+            await this.productCreator.transitionTo(() => {
+                this.productCreator.loadDefinition(product.definition);
+                this.onProductChanged();
+            });
+            
+            this.productPicker.setActive(id);
+        } catch (error) {
+            console.error('Failed to switch product:', error);
+            this.showError(`Failed to show the ${product.label.toLowerCase()}.`);
+        } finally {
+            this.productPicker.setBusy(false);
+        }
+    }
+    
+    async loadModel(url, label = url) {
+        this.showLoading(`Loading ${label}...`);
+        
+        try {
+            await this.productCreator.loadModel(url, (progress) => {
+                this.updateLoadingProgress(progress);
+            });
+            
+            this.onProductChanged();
+        } catch (error) {
+            console.error('Failed to load model:', error);
+            this.showError(`Failed to load model "${label}". Keeping the current product.`);
+        } finally {
+            this.hideLoading();
+        }
+    }
+    
+    async loadProductDefinition(url) {
+        try {
+            await this.productCreator.loadDefinitionFromUrl(url);
+            this.onProductChanged();
+        } catch (error) {
+            console.error('Failed to load product definition:', error);
+            
+            // Validation errors list every bad field, show them to the designer
+            const details = error instanceof ProductDefinitionError ? `\n\n${error.message}` : '';
+            this.showError(`Failed to load product "${url}". Keeping the current product.${details}`);
+        }
+    }
+    
+    onProductChanged() {
+        // Parts are rebuilt, so hover/selection state must be refreshed
+        if (this.interactionManager) {
+            this.interactionManager.setProductParts(this.productCreator.getInteractiveParts());
+        }
+        
+        if (this.cameraAnimator) {
+            this.cameraAnimator.frameProduct(this.productCreator.getProductBounds());
+        }
+        
+        // Custom products aren't part of the catalog
+        if (this.productPicker) {
+            this.productPicker.setActive(null);
+        }
+        
+        const titleElement = this.root.querySelector('#product-info h1');
+        if (titleElement) {
+            const definition = this.productCreator.productDefinition;
+            titleElement.textContent = `3D ${definition ? definition.name : 'Model'} Viewer`;
+        }
+        
+        if (this.chairConfigurator) {
+            this.chairConfigurator.resetInputs();
+            this.chairConfigurator.setEnabled(this.productCreator.isConfigurable());
+        }
+        
+        if (this.materialSwitcher) {
+            this.materialSwitcher.setEnabled(this.productCreator.productDefinition !== null);
+        }
+    }
+    
+    setupModelPicker() {
+        this.loadModelButton = this.root.getElementById('load-model');
+        this.modelFileInput = this.root.getElementById('model-file');
+        if (!this.loadModelButton || !this.modelFileInput) return;
+        
+        // Store bound methods for proper cleanup
+        this.boundLoadModelClick = () => this.modelFileInput.click();
+        this.boundModelFileChange = async () => {
+            const file = this.modelFileInput.files[0];
+            if (!file) return;
+            
+            // Only self-contained files (.glb or .gltf with embedded buffers) resolve from a blob URL
+            const objectUrl = URL.createObjectURL(file);
+            await this.loadModel(objectUrl, file.name);
+            URL.revokeObjectURL(objectUrl);
+            
+            this.modelFileInput.value = '';
+        };
+        
+        this.loadModelButton.addEventListener('click', this.boundLoadModelClick);
+        this.modelFileInput.addEventListener('change', this.boundModelFileChange);
+    }
+    
+    setupRenderModePicker() {
+        this.renderModeSelect = this.root.getElementById('render-mode');
+        if (!this.renderModeSelect) return;
+        
+        this.renderModeSelect.value = this.sceneManager.renderMode;
+        
+        // Store bound method for proper cleanup
+        this.boundRenderModeChange = () => this.sceneManager.setRenderMode(this.renderModeSelect.value);
+        this.renderModeSelect.addEventListener('change', this.boundRenderModeChange);
+    }
+    
+    setupEffectsControls() {
+        const effects = this.sceneManager.effects;
+        this.ssaoCheckbox = this.root.getElementById('effect-ssao');
+        this.bloomCheckbox = this.root.getElementById('effect-bloom');
+        this.antialiasSelect = this.root.getElementById('antialias-mode');
+        if (!this.ssaoCheckbox || !this.bloomCheckbox || !this.antialiasSelect) return;
+        
+        this.ssaoCheckbox.checked = effects.options.ssao;
+        this.bloomCheckbox.checked = effects.options.bloom;
+        this.antialiasSelect.value = effects.options.antialias;
+        
+        // Store bound methods for proper cleanup
+        this.boundSsaoChange = () => effects.setEffect('ssao', this.ssaoCheckbox.checked);
+        this.boundBloomChange = () => effects.setEffect('bloom', this.bloomCheckbox.checked);
+        this.boundAntialiasChange = () => effects.setAntialias(this.antialiasSelect.value);
+        
+        this.ssaoCheckbox.addEventListener('change', this.boundSsaoChange);
+        this.bloomCheckbox.addEventListener('change', this.boundBloomChange);
+        this.antialiasSelect.addEventListener('change', this.boundAntialiasChange);
     }
     
     start() {
@@ -90,7 +537,7 @@ class App {
         
         this.isRunning = true;
         this.clock.start();
-        this.animate();
+        this.requestRender();
         
         console.log('Animation loop started');
     }
@@ -108,14 +555,19 @@ class App {
         console.log('Animation loop stopped');
     }
     
-    animate() {
-        if (!this.isRunning) return;
+    // Method to schedule a frame, e.g. after changing the scene from outside while rendering on demand
+    requestRender() {
+        if (!this.isRunning || !this.isVisible || this.animationId) return;
         
-        // Schedule next frame
         this.animationId = requestAnimationFrame(() => this.animate());
+    }
+    
+    animate() {
+        this.animationId = null;
+        if (!this.isRunning) return;
         
         // Get time values
-        const deltaTime = this.clock.getDelta() * 1000; // Convert to milliseconds
+        const deltaTime = Math.min(this.clock.getDelta() * 1000, MAX_FRAME_TIME); // Convert to milliseconds
         const elapsedTime = this.clock.getElapsedTime() * 1000; // Convert to milliseconds
         
         // Update modules
@@ -123,6 +575,11 @@ class App {
         
         // Render the scene
         this.render();
+        
+        // Schedule next frame, on demand only while something is animating
+        if (!this.options.renderOnDemand || this.hasRunningAnimation()) {
+            this.requestRender();
+        }
     }
     
     update(deltaTime, elapsedTime) {
@@ -137,6 +594,27 @@ class App {
         // Update product animations
         if (this.productCreator) {
             this.productCreator.updateFloating(elapsedTime);
+            this.productCreator.updateTransition(deltaTime);
+        }
+        
+        // Run the joint demo motion
+        if (this.jointController) {
+            this.jointController.update(deltaTime);
+        }
+        
+        // Update exploded part offsets (floating only moves the whole group)
+        if (this.explodedView) {
+            this.explodedView.update(deltaTime);
+        }
+        
+        // Run the tilt test and keep the stability overlay on the product
+        if (this.stabilityAnalyzer) {
+            this.stabilityAnalyzer.update(deltaTime);
+        }
+        
+        // Keep measurement annotations attached to the floating product
+        if (this.measureTool) {
+            this.measureTool.update();
         }
         
         // Update interaction animations
@@ -148,11 +626,25 @@ class App {
         if (this.lightingManager) {
             this.lightingManager.updateLighting(elapsedTime);
         }
+        
+        // Copy the final part transforms and highlights into the instanced meshes
+        if (this.partBatcher) {
+            this.partBatcher.update();
+        }
+        
+        // Move the section plane and its cap with the product
+        if (this.sectionView) {
+            this.sectionView.update();
+        }
     }
     
     render() {
         if (this.sceneManager) {
             this.sceneManager.render();
+            
+            if (this.partBatcher) {
+                this.partBatcher.recordDrawCalls(this.sceneManager.renderer.info.render.calls);
+            }
         }
     }
     
@@ -161,15 +653,38 @@ class App {
         return new Promise(resolve => setTimeout(resolve, ms));
     }
     
-    showLoading() {
-        const loadingElement = document.getElementById('loading');
+    showLoading(message = 'Loading 3D Model...') {
+        const loadingElement = this.root.getElementById('loading');
         if (loadingElement) {
             loadingElement.classList.remove('hidden');
         }
+        
+        const textElement = this.root.getElementById('loading-text');
+        if (textElement) {
+            textElement.textContent = message;
+        }
+        
+        // Progress stays hidden until the loader reports a known total size
+        const progressElement = this.root.getElementById('loading-progress');
+        if (progressElement) {
+            progressElement.classList.add('hidden');
+        }
+    }
+    
+    updateLoadingProgress(progress) {
+        const progressElement = this.root.getElementById('loading-progress');
+        const barElement = this.root.getElementById('loading-progress-bar');
+        const percentElement = this.root.getElementById('loading-percent');
+        if (!progressElement || !barElement || !percentElement) return;
+        
+        const percent = Math.round(Math.min(Math.max(progress, 0), 1) * 100);
+        progressElement.classList.remove('hidden');
+        barElement.style.width = `${percent}%`;
+        percentElement.textContent = `${percent}%`;
     }
     
     hideLoading() {
-        const loadingElement = document.getElementById('loading');
+        const loadingElement = this.root.getElementById('loading');
         if (loadingElement) {
             loadingElement.classList.add('hidden');
         }
@@ -181,7 +696,7 @@ class App {
         // Create error display
         const errorDiv = document.createElement('div');
         errorDiv.style.cssText = `
-            position: fixed;
+            position: absolute;
             top: 50%;
             left: 50%;
             transform: translate(-50%, -50%);
@@ -190,11 +705,12 @@ class App {
             padding: 20px;
             border-radius: 10px;
             text-align: center;
+            white-space: pre-line;
             z-index: 10000;
         `;
         errorDiv.textContent = message;
         
-        document.body.appendChild(errorDiv);
+        this.root.getElementById('app').appendChild(errorDiv);
     }
     
     // Public methods for external control
@@ -218,8 +734,18 @@ class App {
         }
     }
     
-    // Cleanup method
+    // Cleanup method, safe to call more than once
     destroy() {
+        if (this.isDestroyed) return;
+        this.isDestroyed = true;
+        
+        // Still loading, init() cleans up once the modules are in place
+        if (this.isInitializing) return;
+        
+        this.teardown();
+    }
+    
+    teardown() {
         this.stop();
         
         if (this.interactionManager) {
@@ -230,24 +756,107 @@ class App {
             this.cameraAnimator.destroy();
         }
         
+        if (this.chairConfigurator) {
+            this.chairConfigurator.destroy();
+        }
+        
+        if (this.materialSwitcher) {
+            this.materialSwitcher.destroy();
+        }
+        
+        if (this.explodedView) {
+            this.explodedView.destroy();
+        }
+        
+        if (this.productPicker) {
+            this.productPicker.destroy();
+        }
+        
+        if (this.productExporter) {
+            this.productExporter.destroy();
+        }
+        
+        if (this.bomExporter) {
+            this.bomExporter.destroy();
+        }
+        
+        if (this.screenshotExporter) {
+            this.screenshotExporter.destroy();
+        }
+        
+        if (this.partsOutliner) {
+            this.partsOutliner.destroy();
+        }
+        
+        if (this.measureTool) {
+            this.measureTool.destroy();
+        }
+        
+        if (this.partBatcher) {
+            this.partBatcher.destroy();
+        }
+        
+        if (this.sectionView) {
+            this.sectionView.destroy();
+        }
+        
+        if (this.productTotals) {
+            this.productTotals.destroy();
+        }
+        
+        if (this.stabilityAnalyzer) {
+            this.stabilityAnalyzer.destroy();
+        }
+        
+        if (this.assemblyValidator) {
+            this.assemblyValidator.destroy();
+        }
+        
+        if (this.jointController) {
+            this.jointController.destroy();
+        }
+        
+        if (this.environmentManager) {
+            this.environmentManager.destroy();
+        }
+        
+        if (this.boundLoadModelClick) {
+            this.loadModelButton.removeEventListener('click', this.boundLoadModelClick);
+            this.modelFileInput.removeEventListener('change', this.boundModelFileChange);
+        }
+        
+        if (this.boundRenderModeChange) {
+            this.renderModeSelect.removeEventListener('change', this.boundRenderModeChange);
+        }
+        
+        if (this.boundSsaoChange) {
+            this.ssaoCheckbox.removeEventListener('change', this.boundSsaoChange);
+            this.bloomCheckbox.removeEventListener('change', this.boundBloomChange);
+            this.antialiasSelect.removeEventListener('change', this.boundAntialiasChange);
+        }
+        
+        if (this.boundRequestRender) {
+            this.sceneManager.controls.removeEventListener('change', this.boundRequestRender);
+            ['click', 'input', 'change'].forEach(type => this.root.removeEventListener(type, this.boundRequestRender));
+            document.removeEventListener('visibilitychange', this.boundVisibilityChange);
+            this.intersectionObserver.disconnect();
+        }
+        
+        if (this.productCreator) {
+            this.productCreator.destroy();
+        }
+        
+        if (this.lightingManager) {
+            this.lightingManager.destroy();
+        }
+        
+        if (this.sceneManager) {
+            this.sceneManager.destroy();
+        }
+        
         console.log('Application destroyed');
     }
 }
 
-// Global app instance
-let app = null;
-
-// Initialize when DOM is loaded
-document.addEventListener('DOMContentLoaded', () => {
-    app = new App();
-});
-
-// Handle page unload
-window.addEventListener('beforeunload', () => {
-    if (app) {
-        app.destroy();
-    }
-});
-
-// Initialize the app when DOM loads
+// Viewers are created with createViewer() or the <product-viewer> element in productViewer.js
 export { App }; 
\ No newline at end of file
@@ -0,0 +1,66 @@
+/**
+ * Material Catalog Module
+ */
+
+// Named variants for each material slot used by product definitions.
+// The default variants reproduce the original fixed materials; every variant
+// of a slot shares the slot's procedural texture (see proceduralTextures.js).
+// Densities are in kg/m³ and prices per kilogram in MATERIAL_PRICE_CURRENCY,
+// cushions are priced as upholstered foam including the cover.
+export const MATERIAL_PRICE_CURRENCY = 'USD';
+
+export const MATERIAL_CATALOG = {
+    wood: {
+        label: 'Wood',
+        texture: 'wood',
+        defaultVariant: 'chestnut',
+        variants: [
+            { id: 'chestnut', label: 'Chestnut', color: 0x8B4513, roughness: 0.8, metalness: 0.1, density: 560, pricePerKg: 4.5 },
+            { id: 'oak', label: 'Oak', color: 0xC19A6B, roughness: 0.75, metalness: 0.05, density: 750, pricePerKg: 5 },
+            { id: 'walnut', label: 'Walnut', color: 0x5C4033, roughness: 0.7, metalness: 0.05, density: 640, pricePerKg: 9 },
+            { id: 'ash', label: 'Ash', color: 0xD8C8A8, roughness: 0.8, metalness: 0.05, density: 680, pricePerKg: 4.8 },
+            { id: 'ebony', label: 'Ebony', color: 0x2E2622, roughness: 0.5, metalness: 0.1, density: 1100, pricePerKg: 60 }
+        ]
+    },
+    cushion: {
+        label: 'Cushion',
+        texture: 'fabric',
+        defaultVariant: 'velvet-royal-blue',
+        variants: [
+            { id: 'velvet-royal-blue', label: 'Velvet · Royal Blue', color: 0x4169E1, roughness: 0.6, metalness: 0.0, density: 80, pricePerKg: 18 },
+            { id: 'velvet-emerald', label: 'Velvet · Emerald', color: 0x1F6B4F, roughness: 0.6, metalness: 0.0, density: 80, pricePerKg: 18 },
+            { id: 'velvet-burgundy', label: 'Velvet · Burgundy', color: 0x6D1A36, roughness: 0.6, metalness: 0.0, density: 80, pricePerKg: 18 },
+            { id: 'leather-black', label: 'Leather · Black', color: 0x1E1E1E, roughness: 0.45, metalness: 0.0, density: 110, pricePerKg: 35 },
+            { id: 'leather-tan', label: 'Leather · Tan', color: 0xA0672D, roughness: 0.45, metalness: 0.0, density: 110, pricePerKg: 35 },
+            { id: 'leather-oxblood', label: 'Leather · Oxblood', color: 0x4A0F0F, roughness: 0.45, metalness: 0.0, density: 110, pricePerKg: 35 },
+            { id: 'linen-natural', label: 'Linen · Natural', color: 0xD9CBB0, roughness: 0.95, metalness: 0.0, density: 75, pricePerKg: 14 },
+            { id: 'linen-grey', label: 'Linen · Grey', color: 0x9A9A96, roughness: 0.95, metalness: 0.0, density: 75, pricePerKg: 14 }
+        ]
+    },
+    metal: {
+        label: 'Metal',
+        texture: 'brushedMetal',
+        defaultVariant: 'steel',
+        variants: [
+            { id: 'steel', label: 'Steel', color: 0x888888, roughness: 0.3, metalness: 0.7, density: 7850, pricePerKg: 2.5 },
+            { id: 'chrome', label: 'Chrome', color: 0xDDDDDD, roughness: 0.1, metalness: 1.0, density: 7850, pricePerKg: 6 },
+            { id: 'brass', label: 'Brass', color: 0xB5A642, roughness: 0.35, metalness: 1.0, density: 8500, pricePerKg: 12 },
+            { id: 'matte-black', label: 'Matte Black', color: 0x222222, roughness: 0.6, metalness: 0.6, density: 7850, pricePerKg: 3.5 }
+        ]
+    }
+};
+
+// Method to look up a variant of a slot by id
+export function getMaterialVariant(slot, variantId) {
+    const catalog = MATERIAL_CATALOG[slot];
+    if (!catalog) {
+        throw new Error(`Unknown material slot: ${slot}`);
+    }
+    
+    const variant = catalog.variants.find(candidate => candidate.id === variantId);
+    if (!variant) {
+        throw new Error(`Unknown ${slot} variant: ${variantId}`);
+    }
+    
+    return variant;
+}
@@ -0,0 +1,172 @@
+/**
+ * Material State Module
+ */
+
+import * as THREE from 'three';
+
+// States in the order they are layered over the base material, later ones win.
+// Hover and selection aren't material states, they are outlined by the post-processing
+export const MATERIAL_STATES = ['ghosted', 'isolated', 'flagged'];
+
+const STATE_STYLES = {
+    ghosted: material => {
+        material.transparent = true;
+        material.opacity = 0.15;
+        material.depthWrite = false;
+    },
+    isolated: material => {
+        material.emissive = new THREE.Color(0x444444);
+        material.emissiveIntensity = 1;
+    },
+    flagged: material => {
+        // Red glow for parts failing the assembly check
+        material.emissive = new THREE.Color(0xff2222);
+        material.emissiveIntensity = 0.5;
+    }
+};
+
+export class MaterialStateManager {
+    constructor() {
+        // Per-part { base, states } for parts with at least one active state
+        this.parts = new Map();
+        
+        // Composed materials keyed by base material and states, shared between parts
+        this.cache = new Map();
+    }
+    
+    // Method to turn one state of a part on or off, e.g. setState(part, 'flagged', true)
+    setState(part, state, active) {
+        if (!STATE_STYLES[state]) {
+            throw new Error(`Unknown material state: ${state}`);
+        }
+        
+        let entry = this.parts.get(part);
+        if (!entry) {
+            if (!active) return;
+            
+            // The part shows its base material while it has no states
+            entry = { base: part.material, states: new Set() };
+            this.parts.set(part, entry);
+        }
+        
+        if (entry.states.has(state) === active) return;
+        
+        const previous = part.material;
+        if (active) {
+            entry.states.add(state);
+        } else {
+            entry.states.delete(state);
+        }
+        
+        if (entry.states.size === 0) {
+            part.material = entry.base;
+            this.parts.delete(part);
+        } else {
+            part.material = this.acquire(entry);
+        }
+        
+        if (previous !== entry.base) {
+            this.release(previous);
+        }
+    }
+    
+    hasState(part, state) {
+        const entry = this.parts.get(part);
+        return Boolean(entry && entry.states.has(state));
+    }
+    
+    // Method to get the material a part shows without any state
+    getBaseMaterial(part) {
+        const entry = this.parts.get(part);
+        return entry ? entry.base : part.material;
+    }
+    
+    // Method to drop every state of a part, e.g. before it is disposed
+    reset(part) {
+        const entry = this.parts.get(part);
+        if (!entry) return;
+        
+        if (part.material !== entry.base) {
+            this.release(part.material);
+        }
+        part.material = entry.base;
+        this.parts.delete(part);
+    }
+    
+    // Method to call out some parts and fade the rest
+    isolate(isolatedParts, allParts) {
+        const isolated = new Set(isolatedParts);
+        
+        allParts.forEach(part => {
+            this.setState(part, 'isolated', isolated.has(part));
+            this.setState(part, 'ghosted', !isolated.has(part));
+        });
+    }
+    
+    clearIsolation(allParts) {
+        allParts.forEach(part => {
+            this.setState(part, 'isolated', false);
+            this.setState(part, 'ghosted', false);
+        });
+    }
+    
+    acquire(entry) {
+        const states = MATERIAL_STATES.filter(state => entry.states.has(state));
+        
+        // Meshes with several materials, e.g. from glTF models, get a composed copy of each
+        return Array.isArray(entry.base)
+            ? entry.base.map(base => this.acquireMaterial(base, states))
+            : this.acquireMaterial(entry.base, states);
+    }
+    
+    acquireMaterial(base, states) {
+        const key = `${base.uuid}:${states.join('+')}`;
+        
+        let cached = this.cache.get(key);
+        if (!cached) {
+            cached = { material: this.compose(base.clone(), states), base, states, users: 0 };
+            cached.material.userData.materialStateKey = key;
+            this.cache.set(key, cached);
+        }
+        
+        cached.users++;
+        return cached.material;
+    }
+    
+    release(material) {
+        if (Array.isArray(material)) {
+            material.forEach(single => this.release(single));
+            return;
+        }
+        
+        const key = material.userData.materialStateKey;
+        const cached = this.cache.get(key);
+        if (!cached || cached.material !== material) return;
+        
+        cached.users--;
+        if (cached.users > 0) return;
+        
+        // Maps belong to the base material, only the composed copy is freed
+        this.cache.delete(key);
+        material.dispose();
+    }
+    
+    compose(material, states) {
+        states.forEach(state => STATE_STYLES[state](material));
+        return material;
+    }
+    
+    // Method to re-derive composed materials after a base material changes, e.g. a new variant
+    refresh() {
+        this.cache.forEach(({ material, base, states }) => {
+            const key = material.userData.materialStateKey;
+            
+            material.copy(base);
+            material.userData.materialStateKey = key;
+            this.compose(material, states);
+            material.needsUpdate = true;
+        });
+    }
+}
+
+// ES6 export (already done above) 
\ No newline at end of file
@@ -0,0 +1,101 @@
+/**
+ * Material Switcher Module
+ */
+
+import { MATERIAL_CATALOG } from './materialCatalog.js';
+
+export class MaterialSwitcher {
+    constructor(productCreator, interactionManager, root = document) {
+        this.productCreator = productCreator;
+        this.interactionManager = interactionManager;
+        
+        // UI elements
+        this.panel = root.getElementById('material-switcher');
+        this.slotsElement = root.getElementById('material-slots');
+        
+        this.createSwatches();
+        this.setupEventListeners();
+        this.updateActiveSwatches();
+        this.setEnabled(this.productCreator.productDefinition !== null);
+        
+        console.log('Material switcher initialized successfully');
+    }
+    
+    createSwatches() {
+        Object.entries(MATERIAL_CATALOG).forEach(([slot, catalog]) => {
+            const slotElement = document.createElement('div');
+            slotElement.className = 'material-slot';
+            
+            const heading = document.createElement('h4');
+            heading.textContent = catalog.label;
+            const variantName = document.createElement('span');
+            variantName.className = 'variant-name';
+            variantName.dataset.slotName = slot;
+            heading.appendChild(variantName);
+            
+            const swatches = document.createElement('div');
+            swatches.className = 'swatches';
+            
+            catalog.variants.forEach(variant => {
+                const swatch = document.createElement('button');
+                swatch.className = 'swatch';
+                swatch.title = variant.label;
+                swatch.dataset.slot = slot;
+                swatch.dataset.variant = variant.id;
+                swatch.style.background = `#${variant.color.toString(16).padStart(6, '0')}`;
+                swatches.appendChild(swatch);
+            });
+            
+            slotElement.append(heading, swatches);
+            this.slotsElement.appendChild(slotElement);
+        });
+    }
+    
+    setupEventListeners() {
+        // Store bound method for proper cleanup
+        this.boundSwatchClick = (event) => {
+            const swatch = event.target.closest('.swatch');
+            if (swatch) {
+                this.selectVariant(swatch.dataset.slot, swatch.dataset.variant);
+            }
+        };
+        
+        this.slotsElement.addEventListener('click', this.boundSwatchClick);
+    }
+    
+    selectVariant(slot, variantId) {
+        this.productCreator.setMaterialVariant(slot, variantId);
+        
+        // The material row of the part info panel names the variant
+        this.interactionManager.refreshPartInfo();
+        this.updateActiveSwatches();
+        
+        console.log(`Material ${slot} set to ${variantId}`);
+    }
+    
+    updateActiveSwatches() {
+        const activeVariants = this.productCreator.materialVariants;
+        
+        this.slotsElement.querySelectorAll('.swatch').forEach(swatch => {
+            swatch.classList.toggle('active', activeVariants[swatch.dataset.slot] === swatch.dataset.variant);
+        });
+        
+        this.slotsElement.querySelectorAll('[data-slot-name]').forEach(element => {
+            const slot = element.dataset.slotName;
+            const variant = MATERIAL_CATALOG[slot].variants.find(candidate => candidate.id === activeVariants[slot]);
+            element.textContent = variant ? variant.label : '';
+        });
+    }
+    
+    // Method to show the panel only for products built from material slots
+    setEnabled(enabled) {
+        this.panel.classList.toggle('hidden', !enabled);
+    }
+    
+    // Clean up method
+    destroy() {
+        this.slotsElement.removeEventListener('click', this.boundSwatchClick);
+    }
+}
+
+// ES6 export (already done above) 
\ No newline at end of file
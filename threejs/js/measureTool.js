@@ -0,0 +1,312 @@
+/**
+ * Measure Tool Module
+ */
+
+import * as THREE from 'three';
+
+// Scene units are meters
+export const MEASURE_UNITS = {
+    m: { label: 'm', factor: 1, digits: 3 },
+    cm: { label: 'cm', factor: 100, digits: 1 },
+    in: { label: 'in', factor: 1 / 0.0254, digits: 2 }
+};
+
+const MEASURE_COLOR = 0xff6b35;
+const DIMENSION_COLOR = 0x333333;
+
+export class MeasureTool {
+    constructor(scene, productCreator, interactionManager, root = document) {
+        this.scene = scene;
+        this.productCreator = productCreator;
+        this.productGroup = productCreator.getProductGroup();
+        this.interactionManager = interactionManager;
+        
+        // Measure state
+        this.isMeasuring = false;
+        this.showDimensions = false;
+        this.units = 'cm';
+        this.pendingPoint = null;
+        this.pendingMarker = null;
+        this.measurements = [];
+        this.dimensionLines = null;
+        
+        // Annotations follow the product group without being part of it,
+        // so exports and product rebuilds never see them
+        this.root = new THREE.Group();
+        this.root.name = 'Measurements';
+        this.scene.add(this.root);
+        
+        // UI elements
+        this.measureButton = root.getElementById('toggle-measure');
+        this.dimensionsButton = root.getElementById('toggle-dimensions');
+        this.unitSelect = root.getElementById('measure-units');
+        this.clearButton = root.getElementById('clear-measurements');
+        
+        this.unitSelect.value = this.units;
+        this.setupEventListeners();
+        
+        console.log('Measure tool initialized successfully');
+    }
+    
+    setupEventListeners() {
+        // Store bound methods for proper cleanup
+        this.boundToggleMeasure = () => this.setMeasuring(!this.isMeasuring);
+        this.boundToggleDimensions = () => this.setDimensionsVisible(!this.showDimensions);
+        this.boundUnitChange = () => this.setUnits(this.unitSelect.value);
+        this.boundClear = () => this.clear();
+        this.boundPartsChange = () => this.updateDimensionLines();
+        
+        this.measureButton.addEventListener('click', this.boundToggleMeasure);
+        this.dimensionsButton.addEventListener('click', this.boundToggleDimensions);
+        this.unitSelect.addEventListener('change', this.boundUnitChange);
+        this.clearButton.addEventListener('click', this.boundClear);
+        
+        // Reconfigured or swapped products need new overall dimensions
+        this.interactionManager.addEventListener('partschange', this.boundPartsChange);
+    }
+    
+    setMeasuring(measuring) {
+        this.isMeasuring = measuring;
+        this.measureButton.classList.toggle('active', measuring);
+        
+        if (measuring) {
+            this.interactionManager.setClickHandler(intersect => this.addPoint(intersect));
+        } else {
+            this.interactionManager.setClickHandler(null);
+            this.cancelPendingPoint();
+        }
+    }
+    
+    // Method to record a clicked surface point, every second point completes a measurement
+    addPoint(intersect) {
+        // Clicking empty space abandons a half-finished measurement
+        if (!intersect) {
+            this.cancelPendingPoint();
+            return;
+        }
+        
+        const point = this.toProductSpace(intersect.point);
+        
+        if (!this.pendingPoint) {
+            this.pendingPoint = point;
+            this.pendingMarker = this.createMarker(point, MEASURE_COLOR);
+            this.root.add(this.pendingMarker);
+            return;
+        }
+        
+        const start = this.pendingPoint;
+        this.cancelPendingPoint();
+        
+        const measurement = { start, end: point, object: this.createMeasurement(start, point) };
+        this.measurements.push(measurement);
+        this.root.add(measurement.object);
+    }
+    
+    cancelPendingPoint() {
+        if (this.pendingMarker) {
+            this.disposeObject(this.pendingMarker);
+            this.root.remove(this.pendingMarker);
+        }
+        
+        this.pendingPoint = null;
+        this.pendingMarker = null;
+    }
+    
+    toProductSpace(worldPoint) {
+        this.productGroup.updateMatrixWorld(true);
+        return this.productGroup.worldToLocal(worldPoint.clone());
+    }
+    
+    createMeasurement(start, end) {
+        const group = new THREE.Group();
+        
+        group.add(this.createLine([start, end], MEASURE_COLOR));
+        group.add(this.createMarker(start, MEASURE_COLOR));
+        group.add(this.createMarker(end, MEASURE_COLOR));
+        group.add(this.createLabel(start.distanceTo(end), start.clone().lerp(end, 0.5), MEASURE_COLOR));
+        
+        return group;
+    }
+    
+    setDimensionsVisible(visible) {
+        this.showDimensions = visible;
+        this.dimensionsButton.classList.toggle('active', visible);
+        this.updateDimensionLines();
+    }
+    
+    // Method to redraw the overall width, depth and height lines around the product
+    updateDimensionLines() {
+        if (this.dimensionLines) {
+            this.disposeObject(this.dimensionLines);
+            this.root.remove(this.dimensionLines);
+            this.dimensionLines = null;
+        }
+        
+        if (!this.showDimensions || this.productCreator.getInteractiveParts().length === 0) return;
+        
+        const box = this.getAssembledBounds();
+        const { min, max } = box;
+        const offset = box.getSize(new THREE.Vector3()).length() * 0.08;
+        const group = new THREE.Group();
+        
+        // Width along the front bottom edge, depth along the right bottom edge,
+        // height up the front right corner
+        const lines = [
+            [new THREE.Vector3(min.x, min.y, max.z + offset), new THREE.Vector3(max.x, min.y, max.z + offset), new THREE.Vector3(0, 0, -offset)],
+            [new THREE.Vector3(max.x + offset, min.y, min.z), new THREE.Vector3(max.x + offset, min.y, max.z), new THREE.Vector3(-offset, 0, 0)],
+            [new THREE.Vector3(max.x + offset, min.y, max.z + offset), new THREE.Vector3(max.x + offset, max.y, max.z + offset), new THREE.Vector3(-offset, 0, -offset)]
+        ];
+        
+        lines.forEach(([start, end, towardsProduct]) => {
+            // Extension lines run from the dimension line back to the product's edge
+            group.add(this.createLine([start, end], DIMENSION_COLOR));
+            group.add(this.createLine([start, start.clone().add(towardsProduct)], DIMENSION_COLOR));
+            group.add(this.createLine([end, end.clone().add(towardsProduct)], DIMENSION_COLOR));
+            group.add(this.createLabel(start.distanceTo(end), start.clone().lerp(end, 0.5), DIMENSION_COLOR));
+        });
+        
+        this.dimensionLines = group;
+        this.root.add(group);
+    }
+    
+    // Method to measure the product as assembled, ignoring hover scaling and the exploded view
+    getAssembledBounds() {
+        return this.productCreator.withAssembledParts(parts => {
+            const box = new THREE.Box3();
+            parts.forEach(part => box.union(this.productCreator.getPartBounds(part)));
+            return box;
+        });
+    }
+    
+    setUnits(units) {
+        if (!MEASURE_UNITS[units]) {
+            throw new Error(`Unknown measurement units: ${units}`);
+        }
+        
+        this.units = units;
+        this.unitSelect.value = units;
+        
+        // Relabel everything already on screen
+        this.measurements.forEach(measurement => {
+            const label = measurement.object.children.find(child => child.isSprite);
+            this.updateLabel(label, measurement.start.distanceTo(measurement.end));
+        });
+        this.updateDimensionLines();
+    }
+    
+    formatDistance(distance) {
+        const unit = MEASURE_UNITS[this.units];
+        return `${(distance * unit.factor).toFixed(unit.digits)} ${unit.label}`;
+    }
+    
+    createLine(points, color) {
+        const geometry = new THREE.BufferGeometry().setFromPoints(points);
+        const line = new THREE.Line(geometry, new THREE.LineBasicMaterial({ color, depthTest: false, transparent: true }));
+        
+        // Draw on top of the product so lines inside or behind it stay readable
+        line.renderOrder = 999;
+        return line;
+    }
+    
+    createMarker(point, color) {
+        const marker = new THREE.Mesh(
+            new THREE.SphereGeometry(0.025, 12, 8),
+            new THREE.MeshBasicMaterial({ color, depthTest: false, transparent: true })
+        );
+        
+        marker.position.copy(point);
+        marker.renderOrder = 999;
+        return marker;
+    }
+    
+    createLabel(distance, position, color) {
+        const canvas = document.createElement('canvas');
+        canvas.width = 256;
+        canvas.height = 64;
+        
+        const material = new THREE.SpriteMaterial({
+            map: new THREE.CanvasTexture(canvas),
+            depthTest: false,
+            sizeAttenuation: false
+        });
+        
+        // Constant size on screen regardless of the camera distance
+        const label = new THREE.Sprite(material);
+        label.position.copy(position);
+        label.scale.set(0.16, 0.04, 1);
+        label.renderOrder = 1000;
+        label.userData.color = color;
+        
+        this.updateLabel(label, distance);
+        return label;
+    }
+    
+    updateLabel(label, distance) {
+        const texture = label.material.map;
+        const canvas = texture.image;
+        const context = canvas.getContext('2d');
+        
+        context.clearRect(0, 0, canvas.width, canvas.height);
+        context.fillStyle = 'rgba(255, 255, 255, 0.9)';
+        context.beginPath();
+        context.roundRect(4, 4, canvas.width - 8, canvas.height - 8, 12);
+        context.fill();
+        
+        context.fillStyle = `#${new THREE.Color(label.userData.color).getHexString()}`;
+        context.font = 'bold 32px sans-serif';
+        context.textAlign = 'center';
+        context.textBaseline = 'middle';
+        context.fillText(this.formatDistance(distance), canvas.width / 2, canvas.height / 2);
+        
+        texture.needsUpdate = true;
+    }
+    
+    // Method to remove every measurement, the overall dimensions stay until toggled off
+    clear() {
+        this.cancelPendingPoint();
+        
+        this.measurements.forEach(measurement => {
+            this.disposeObject(measurement.object);
+            this.root.remove(measurement.object);
+        });
+        this.measurements = [];
+    }
+    
+    disposeObject(root) {
+        root.traverse(object => {
+            if (object.geometry) {
+                object.geometry.dispose();
+            }
+            if (object.material) {
+                if (object.material.map) {
+                    object.material.map.dispose();
+                }
+                object.material.dispose();
+            }
+        });
+    }
+    
+    // Method to be called in the animation loop
+    update() {
+        // Follow the product's floating motion and transition scaling
+        this.root.position.copy(this.productGroup.position);
+        this.root.quaternion.copy(this.productGroup.quaternion);
+        this.root.scale.copy(this.productGroup.scale);
+    }
+    
+    // Clean up method
+    destroy() {
+        this.setMeasuring(false);
+        this.clear();
+        this.setDimensionsVisible(false);
+        this.scene.remove(this.root);
+        
+        this.measureButton.removeEventListener('click', this.boundToggleMeasure);
+        this.dimensionsButton.removeEventListener('click', this.boundToggleDimensions);
+        this.unitSelect.removeEventListener('change', this.boundUnitChange);
+        this.clearButton.removeEventListener('click', this.boundClear);
+        this.interactionManager.removeEventListener('partschange', this.boundPartsChange);
+    }
+}
+
+// ES6 export (already done above) 
\ No newline at end of file
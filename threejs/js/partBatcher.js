@@ -0,0 +1,175 @@
+/**
+ * Part Batching Module
+ */
+
+import * as THREE from 'three';
+
+// Layer of batched parts: still raycast for picking but not drawn by the camera
+export const BATCHED_LAYER = 1;
+
+const HIDDEN_MATRIX = new THREE.Matrix4().makeScale(0, 0, 0);
+
+export class PartBatcher {
+    constructor(scene, productCreator, interactionManager, root = document) {
+        this.scene = scene;
+        this.productCreator = productCreator;
+        this.productGroup = productCreator.getProductGroup();
+        this.interactionManager = interactionManager;
+        
+        // Batch state
+        this.isEnabled = true;
+        this.batches = [];
+        this.capturedParts = null;
+        
+        // Draw calls of the last frame, and of the frame before batching was toggled
+        this.drawCalls = null;
+        this.drawCallsBeforeToggle = null;
+        
+        // Instanced meshes live outside the product group so exports only see the parts
+        this.root = new THREE.Group();
+        this.root.name = 'Batched parts';
+        this.scene.add(this.root);
+        
+        // Picking keeps working on the original meshes
+        this.interactionManager.raycaster.layers.enable(BATCHED_LAYER);
+        
+        // UI elements
+        this.toggleButton = root.getElementById('toggle-batching');
+        this.drawCallsElement = root.getElementById('draw-calls');
+        
+        this.toggleButton.classList.toggle('active', this.isEnabled);
+        this.setupEventListeners();
+        
+        console.log('Part batcher initialized successfully');
+    }
+    
+    setupEventListeners() {
+        // Store bound method for proper cleanup
+        this.boundToggle = () => this.setEnabled(!this.isEnabled);
+        
+        this.toggleButton.addEventListener('click', this.boundToggle);
+    }
+    
+    setEnabled(enabled) {
+        this.drawCallsBeforeToggle = this.drawCalls;
+        this.drawCalls = null;
+        this.isEnabled = enabled;
+        this.toggleButton.classList.toggle('active', enabled);
+        
+        this.clearBatches();
+    }
+    
+    // Method to group parts sharing a geometry and base material into instanced meshes
+    createBatches() {
+        const groups = new Map();
+        
+        this.productCreator.getInteractiveParts().forEach(part => {
+            const material = this.getBaseMaterial(part);
+            const key = `${part.geometry.uuid}:${material.uuid}`;
+            
+            if (!groups.has(key)) {
+                groups.set(key, { geometry: part.geometry, material, parts: [] });
+            }
+            groups.get(key).parts.push(part);
+        });
+        
+        groups.forEach(({ geometry, material, parts }) => {
+            // A single part gains nothing from instancing
+            if (parts.length < 2) return;
+            
+            const mesh = new THREE.InstancedMesh(geometry, material, parts.length);
+            mesh.instanceMatrix.setUsage(THREE.DynamicDrawUsage);
+            mesh.castShadow = parts.some(part => part.castShadow);
+            mesh.receiveShadow = parts.some(part => part.receiveShadow);
+            
+            // Instances move with hover, explode and floating animations
+            mesh.frustumCulled = false;
+            
+            this.root.add(mesh);
+            this.batches.push({ mesh, parts });
+        });
+        
+        this.capturedParts = new Set(this.productCreator.getInteractiveParts());
+        
+        const instanced = this.batches.reduce((count, batch) => count + batch.parts.length, 0);
+        console.log(`Batched ${instanced} parts into ${this.batches.length} instanced meshes`);
+    }
+    
+    clearBatches() {
+        this.batches.forEach(({ mesh, parts }) => {
+            // Geometries and materials belong to the parts, only the instance buffers are ours
+            mesh.dispose();
+            this.root.remove(mesh);
+            parts.forEach(part => part.layers.set(0));
+        });
+        
+        this.batches = [];
+        this.capturedParts = null;
+    }
+    
+    getBaseMaterial(part) {
+        return this.productCreator.materialStates.getBaseMaterial(part);
+    }
+    
+    partsChanged() {
+        const parts = this.productCreator.getInteractiveParts();
+        return !this.capturedParts || parts.length !== this.capturedParts.size ||
+            parts.some(part => !this.capturedParts.has(part));
+    }
+    
+    // Method to be called in the animation loop, after everything that moves parts
+    update() {
+        if (!this.isEnabled) return;
+        
+        // Rebuilt or newly loaded parts need new batches
+        if (this.partsChanged()) {
+            this.clearBatches();
+            this.createBatches();
+        }
+        
+        this.productGroup.updateMatrixWorld(true);
+        
+        const { hovered, selected } = this.interactionManager.getOutlinedParts();
+        
+        this.batches.forEach(({ mesh, parts }) => {
+            parts.forEach((part, index) => {
+                // Parts in another material state, or outlined, render on their own so the
+                // outline pass finds them on the camera's layer
+                const individual = part.material !== mesh.material || part === hovered || part === selected;
+                part.layers.set(individual ? 0 : BATCHED_LAYER);
+                
+                if (individual || !this.interactionManager.isPartVisible(part)) {
+                    mesh.setMatrixAt(index, HIDDEN_MATRIX);
+                } else {
+                    mesh.setMatrixAt(index, part.matrixWorld);
+                }
+            });
+            
+            mesh.instanceMatrix.needsUpdate = true;
+        });
+    }
+    
+    // Method to be called after each render with renderer.info.render.calls
+    recordDrawCalls(drawCalls) {
+        if (drawCalls === this.drawCalls) return;
+        
+        const before = this.drawCallsBeforeToggle;
+        if (this.drawCalls === null && before !== null) {
+            console.log(`Part batching ${this.isEnabled ? 'on' : 'off'}: ${before} → ${drawCalls} draw calls`);
+        }
+        
+        this.drawCalls = drawCalls;
+        this.drawCallsElement.textContent = before !== null ? `Draw calls: ${before} → ${drawCalls}` : `${drawCalls} draw calls`;
+    }
+    
+    // Clean up method
+    destroy() {
+        this.clearBatches();
+        this.scene.remove(this.root);
+        this.interactionManager.raycaster.layers.disable(BATCHED_LAYER);
+        
+        this.toggleButton.removeEventListener('click', this.boundToggle);
+    }
+}
+
+// ES6 export (already done above) 
\ No newline at end of file
@@ -0,0 +1,198 @@
+/**
+ * Parts Outliner Module
+ */
+
+export class PartsOutliner {
+    constructor(interactionManager, root = document) {
+        this.interactionManager = interactionManager;
+        
+        // Outliner rows keyed by part, rebuilt whenever the parts change
+        this.rows = new Map();
+        this.collapsedTypes = new Set();
+        
+        // UI elements
+        this.container = root.getElementById('outliner');
+        this.list = root.getElementById('outliner-list');
+        this.countLabel = root.getElementById('outliner-count');
+        this.collapseButton = root.getElementById('outliner-toggle');
+        
+        this.setupEventListeners();
+        this.render();
+        
+        console.log('Parts outliner initialized successfully');
+    }
+    
+    setupEventListeners() {
+        // Store bound methods for proper cleanup
+        this.boundPartsChange = () => this.render();
+        this.boundSelectionChange = event => this.onSelectionChange(event.object);
+        this.boundHoverChange = event => this.onHoverChange(event.object);
+        this.boundCollapse = () => this.container.classList.toggle('collapsed');
+        
+        this.collapseButton.addEventListener('click', this.boundCollapse);
+        
+        this.interactionManager.addEventListener('partschange', this.boundPartsChange);
+        this.interactionManager.addEventListener('selectionchange', this.boundSelectionChange);
+        this.interactionManager.addEventListener('hoverchange', this.boundHoverChange);
+    }
+    
+    // Method to group parts by type, keeping the order in which types first appear
+    groupParts() {
+        const groups = new Map();
+        
+        this.interactionManager.productParts.forEach(part => {
+            const partType = part.userData.partType || 'other';
+            if (!groups.has(partType)) {
+                groups.set(partType, []);
+            }
+            groups.get(partType).push(part);
+        });
+        
+        return groups;
+    }
+    
+    render() {
+        this.list.innerHTML = '';
+        this.rows.clear();
+        
+        const groups = this.groupParts();
+        this.countLabel.textContent = this.interactionManager.productParts.length;
+        
+        groups.forEach((parts, partType) => {
+            this.list.appendChild(this.createGroup(partType, parts));
+        });
+        
+        // Part types from the previous product shouldn't stay collapsed forever
+        this.collapsedTypes.forEach(partType => {
+            if (!groups.has(partType)) this.collapsedTypes.delete(partType);
+        });
+        
+        this.onSelectionChange(this.interactionManager.selectedObject);
+        this.onHoverChange(this.interactionManager.hoveredObject);
+    }
+    
+    createGroup(partType, parts) {
+        const group = document.createElement('li');
+        group.className = 'outliner-group';
+        group.classList.toggle('collapsed', this.collapsedTypes.has(partType));
+        
+        const header = document.createElement('div');
+        header.className = 'outliner-group-header';
+        
+        const toggle = document.createElement('button');
+        toggle.className = 'outliner-expand';
+        toggle.textContent = `${partType} (${parts.length})`;
+        toggle.addEventListener('click', () => {
+            const collapsed = group.classList.toggle('collapsed');
+            if (collapsed) {
+                this.collapsedTypes.add(partType);
+            } else {
+                this.collapsedTypes.delete(partType);
+            }
+        });
+        
+        const visibility = this.createVisibilityButton(
+            () => parts.some(part => part.visible),
+            visible => parts.forEach(part => this.interactionManager.setPartVisible(part, visible))
+        );
+        
+        header.append(toggle, visibility);
+        
+        const list = document.createElement('ul');
+        parts.forEach(part => list.appendChild(this.createRow(part)));
+        
+        group.append(header, list);
+        return group;
+    }
+    
+    createRow(part) {
+        const row = document.createElement('li');
+        row.className = 'outliner-row';
+        
+        const label = document.createElement('span');
+        label.className = 'outliner-name';
+        label.textContent = part.userData.name || part.name || 'Unnamed part';
+        
+        const visibility = this.createVisibilityButton(
+            () => part.visible,
+            visible => this.interactionManager.setPartVisible(part, visible)
+        );
+        
+        row.append(label, visibility);
+        
+        // Hidden parts can't be picked in the scene either
+        row.addEventListener('click', () => {
+            if (part.visible) {
+                this.interactionManager.selectObject(part);
+            }
+        });
+        row.addEventListener('mouseenter', () => {
+            if (part.visible) {
+                this.interactionManager.hoverObject(part);
+            }
+        });
+        row.addEventListener('mouseleave', () => this.interactionManager.clearHover());
+        
+        this.rows.set(part, row);
+        return row;
+    }
+    
+    createVisibilityButton(isVisible, setVisible) {
+        const button = document.createElement('button');
+        button.className = 'outliner-visibility';
+        button.title = 'Toggle visibility';
+        
+        button.addEventListener('click', event => {
+            // Keep the click from selecting the row underneath
+            event.stopPropagation();
+            setVisible(!isVisible());
+            this.updateVisibility();
+        });
+        
+        return button;
+    }
+    
+    // Method to refresh the eye buttons and dimmed rows after visibility changes
+    updateVisibility() {
+        this.groupParts().forEach(parts => {
+            const anyVisible = parts.some(part => part.visible);
+            const group = this.rows.get(parts[0]).closest('.outliner-group');
+            group.querySelector('.outliner-group-header .outliner-visibility').classList.toggle('off', !anyVisible);
+        });
+        
+        this.rows.forEach((row, part) => {
+            row.classList.toggle('hidden-part', !part.visible);
+            row.querySelector('.outliner-visibility').classList.toggle('off', !part.visible);
+        });
+    }
+    
+    onSelectionChange(object) {
+        this.rows.forEach((row, part) => row.classList.toggle('selected', part === object));
+        
+        const row = this.rows.get(object);
+        if (row) {
+            // Expand the group so the selected row can be seen
+            const group = row.closest('.outliner-group');
+            group.classList.remove('collapsed');
+            this.collapsedTypes.delete(object.userData.partType || 'other');
+            
+            row.scrollIntoView({ block: 'nearest' });
+        }
+        
+        this.updateVisibility();
+    }
+    
+    onHoverChange(object) {
+        this.rows.forEach((row, part) => row.classList.toggle('hovered', part === object));
+    }
+    
+    // Clean up method
+    destroy() {
+        this.collapseButton.removeEventListener('click', this.boundCollapse);
+        this.interactionManager.removeEventListener('partschange', this.boundPartsChange);
+        this.interactionManager.removeEventListener('selectionchange', this.boundSelectionChange);
+        this.interactionManager.removeEventListener('hoverchange', this.boundHoverChange);
+    }
+}
+
+// ES6 export (already done above) 
\ No newline at end of file
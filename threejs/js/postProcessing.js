@@ -0,0 +1,226 @@
+/**
+ * Post-Processing Module
+ */
+
+import * as THREE from 'three';
+import { EffectComposer } from 'three/addons/postprocessing/EffectComposer.js';
+import { Pass } from 'three/addons/postprocessing/Pass.js';
+import { SSAOPass } from 'three/addons/postprocessing/SSAOPass.js';
+import { OutlinePass } from 'three/addons/postprocessing/OutlinePass.js';
+import { UnrealBloomPass } from 'three/addons/postprocessing/UnrealBloomPass.js';
+import { OutputPass } from 'three/addons/postprocessing/OutputPass.js';
+import { ShaderPass } from 'three/addons/postprocessing/ShaderPass.js';
+import { SMAAPass } from 'three/addons/postprocessing/SMAAPass.js';
+import { FXAAShader } from 'three/addons/shaders/FXAAShader.js';
+
+export const ANTIALIAS_MODES = ['msaa', 'fxaa', 'smaa', 'none'];
+
+// Effects that can be switched on and off, the outlines are always drawn
+export const DEFAULT_EFFECTS_OPTIONS = {
+    ssao: false, // Contact darkening where parts meet each other and the ground
+    bloom: false, // Subtle glow around bright highlights
+    antialias: 'msaa'
+};
+
+// Samples of the multisampled render targets in 'msaa' mode
+const MSAA_SAMPLES = 4;
+
+// Ambient occlusion reach, in meters
+const SSAO_SETTINGS = {
+    kernelRadius: 0.2,
+    minDistance: 0.002,
+    maxDistance: 0.3
+};
+
+// Same blue for hover and selection, the selection is drawn stronger
+const OUTLINE_STYLES = {
+    hover: { visibleEdgeColor: 0x8888ff, hiddenEdgeColor: 0x22224a, edgeStrength: 2.5, edgeThickness: 1 },
+    selected: { visibleEdgeColor: 0x4444ff, hiddenEdgeColor: 0x1a1a66, edgeStrength: 4, edgeThickness: 1.5 }
+};
+
+const BLOOM_SETTINGS = {
+    strength: 0.3,
+    radius: 0.4,
+    threshold: 0.9
+};
+
+// Draws the scene into the composer's buffer through the scene manager, so render modes keep working
+class ScenePass extends Pass {
+    constructor(drawScene) {
+        super();
+        
+        this.drawScene = drawScene;
+        this.camera = null;
+        this.needsSwap = false;
+    }
+    
+    render(renderer, writeBuffer, readBuffer) {
+        renderer.setRenderTarget(this.renderToScreen ? null : readBuffer);
+        this.drawScene(this.camera);
+    }
+}
+
+export class PostProcessing {
+    constructor(renderer, scene, camera, drawScene, options = {}) {
+        Object.keys(options).forEach(key => {
+            if (!(key in DEFAULT_EFFECTS_OPTIONS)) {
+                throw new Error(`Unknown effect: ${key}`);
+            }
+        });
+        
+        this.renderer = renderer;
+        this.scene = scene;
+        this.camera = camera;
+        this.options = { ...DEFAULT_EFFECTS_OPTIONS, ...options };
+        
+        this.composer = null;
+        this.passes = {};
+        
+        // Set while the section view cuts the product, see suspendSsao()
+        this.ssaoSuspended = false;
+        
+        this.init(drawScene);
+    }
+    
+    init(drawScene) {
+        const size = this.renderer.getSize(new THREE.Vector2());
+        
+        // Half floats keep the lighting linear until the output pass tone maps it, the stencil
+        // buffer is where the section view marks the cut to cap
+        const renderTarget = new THREE.WebGLRenderTarget(size.x, size.y, {
+            type: THREE.HalfFloatType,
+            stencilBuffer: true
+        });
+        this.composer = new EffectComposer(this.renderer, renderTarget);
+        
+        this.passes.scene = new ScenePass(drawScene);
+        this.passes.ssao = new SSAOPass(this.scene, this.camera, size.x, size.y);
+        this.passes.hoverOutline = this.createOutlinePass(size, OUTLINE_STYLES.hover);
+        this.passes.selectionOutline = this.createOutlinePass(size, OUTLINE_STYLES.selected);
+        this.passes.bloom = new UnrealBloomPass(size.clone(), BLOOM_SETTINGS.strength, BLOOM_SETTINGS.radius, BLOOM_SETTINGS.threshold);
+        this.passes.output = new OutputPass();
+        
+        // Edge smoothing runs last, on the tone mapped colors it was tuned for
+        this.passes.fxaa = new ShaderPass(FXAAShader);
+        this.passes.smaa = new SMAAPass(size.x, size.y);
+        
+        ['scene', 'ssao', 'hoverOutline', 'selectionOutline', 'bloom', 'output', 'fxaa', 'smaa'].forEach(name => {
+            this.composer.addPass(this.passes[name]);
+        });
+        
+        this.setSize(size.x, size.y, this.renderer.getPixelRatio());
+        this.setEffect('ssao', this.options.ssao);
+        this.setEffect('bloom', this.options.bloom);
+        this.setAntialias(this.options.antialias);
+    }
+    
+    createOutlinePass(size, style) {
+        const pass = new OutlinePass(size.clone(), this.scene, this.camera);
+        
+        pass.visibleEdgeColor.set(style.visibleEdgeColor);
+        pass.hiddenEdgeColor.set(style.hiddenEdgeColor);
+        pass.edgeStrength = style.edgeStrength;
+        pass.edgeThickness = style.edgeThickness;
+        
+        return pass;
+    }
+    
+    // Method to switch an effect on or off, 'ssao' or 'bloom'
+    setEffect(name, enabled) {
+        if (name !== 'ssao' && name !== 'bloom') {
+            throw new Error(`Unknown effect: ${name}`);
+        }
+        
+        this.options[name] = enabled;
+        this.passes[name].enabled = enabled && !(name === 'ssao' && this.ssaoSuspended);
+    }
+    
+    // Method to hold back the ambient occlusion while the section view is active. Its normal
+    // pass ignores the clipping, so the cut away geometry and the cap would still darken the view
+    suspendSsao(suspended) {
+        this.ssaoSuspended = suspended;
+        this.setEffect('ssao', this.options.ssao);
+    }
+    
+    // Method to run a callback with ambient occlusion and bloom off. They work on the whole
+    // frame, in the tiles of a large screenshot they would stop at every tile edge
+    withoutScreenSpaceEffects(callback) {
+        const enabled = [this.passes.ssao.enabled, this.passes.bloom.enabled];
+        this.passes.ssao.enabled = false;
+        this.passes.bloom.enabled = false;
+        
+        try {
+            return callback();
+        } finally {
+            [this.passes.ssao.enabled, this.passes.bloom.enabled] = enabled;
+        }
+    }
+    
+    setAntialias(mode) {
+        if (!ANTIALIAS_MODES.includes(mode)) {
+            throw new Error(`Unknown anti-aliasing mode: ${mode}`);
+        }
+        
+        this.options.antialias = mode;
+        this.passes.fxaa.enabled = mode === 'fxaa';
+        this.passes.smaa.enabled = mode === 'smaa';
+        
+        // Render targets are reallocated with the new sample count when next used, keeping their stencil buffer
+        const samples = mode === 'msaa' ? MSAA_SAMPLES : 0;
+        [this.composer.renderTarget1, this.composer.renderTarget2].forEach(target => {
+            if (target.samples === samples) return;
+            
+            target.samples = samples;
+            target.dispose();
+        });
+    }
+    
+    // Method to resize every buffer, width and height in CSS pixels
+    setSize(width, height, pixelRatio) {
+        this.composer.setPixelRatio(pixelRatio);
+        this.composer.setSize(width, height);
+        
+        this.passes.fxaa.material.uniforms.resolution.value.set(1 / (width * pixelRatio), 1 / (height * pixelRatio));
+    }
+    
+    // Method to render the passes to the canvas. The outlines go around the hovered and
+    // selected parts, the camera can differ from frame to frame, e.g. for screenshot tiles
+    render(camera, { hovered = null, selected = null } = {}) {
+        this.passes.scene.camera = camera;
+        this.passes.hoverOutline.renderCamera = camera;
+        this.passes.selectionOutline.renderCamera = camera;
+        this.passes.hoverOutline.selectedObjects = hovered ? [hovered] : [];
+        this.passes.selectionOutline.selectedObjects = selected ? [selected] : [];
+        
+        if (this.passes.ssao.enabled) {
+            this.updateSsaoCamera(camera);
+        }
+        
+        this.composer.render();
+    }
+    
+    // The SSAO pass copies the camera's projection and compares depths as fractions of its range
+    updateSsaoCamera(camera) {
+        const pass = this.passes.ssao;
+        const uniforms = pass.ssaoMaterial.uniforms;
+        const depthRange = camera.far - camera.near;
+        
+        pass.camera = camera;
+        pass.kernelRadius = SSAO_SETTINGS.kernelRadius;
+        pass.minDistance = SSAO_SETTINGS.minDistance / depthRange;
+        pass.maxDistance = SSAO_SETTINGS.maxDistance / depthRange;
+        
+        uniforms.cameraNear.value = camera.near;
+        uniforms.cameraFar.value = camera.far;
+        uniforms.cameraProjectionMatrix.value.copy(camera.projectionMatrix);
+        uniforms.cameraInverseProjectionMatrix.value.copy(camera.projectionMatrixInverse);
+    }
+    
+    // Clean up method
+    dispose() {
+        Object.values(this.passes).forEach(pass => pass.dispose());
+        this.composer.dispose();
+    }
+}
+
+// ES6 export (already done above) 
\ No newline at end of file
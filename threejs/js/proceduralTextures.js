@@ -0,0 +1,210 @@
+/**
+ * Procedural Texture Module
+ */
+
+import * as THREE from 'three';
+
+// World size in meters covered by one texture tile. Product UVs are in meters,
+// so every part shows the same grain density regardless of its size
+export const TEXTURE_TILE_SIZE = 0.5;
+
+export class ProceduralTextures {
+    constructor(size = 256) {
+        this.size = size;
+        this.cache = new Map();
+    }
+    
+    // Method to get the cached { map, normalMap, roughnessMap } set for a texture kind
+    get(kind) {
+        if (!this.cache.has(kind)) {
+            this.cache.set(kind, this.createTextureSet(kind));
+        }
+        
+        return this.cache.get(kind);
+    }
+    
+    // Method to free every generated texture
+    dispose() {
+        this.cache.forEach(set => Object.values(set).forEach(texture => texture.dispose()));
+        this.cache.clear();
+    }
+    
+    createTextureSet(kind) {
+        const generators = {
+            wood: (u, v) => this.sampleWood(u, v),
+            fabric: (u, v) => this.sampleFabric(u, v),
+            brushedMetal: (u, v) => this.sampleBrushedMetal(u, v)
+        };
+        
+        const generator = generators[kind];
+        if (!generator) {
+            throw new Error(`Unknown procedural texture: ${kind}`);
+        }
+        
+        // Each sample returns { albedo, roughness, height } in the 0..1 range
+        const size = this.size;
+        const albedo = new Float32Array(size * size);
+        const roughness = new Float32Array(size * size);
+        const height = new Float32Array(size * size);
+        
+        for (let y = 0; y < size; y++) {
+            for (let x = 0; x < size; x++) {
+                const sample = generator(x / size, y / size);
+                const index = y * size + x;
+                
+                albedo[index] = sample.albedo;
+                roughness[index] = sample.roughness;
+                height[index] = sample.height;
+            }
+        }
+        
+        const textureSet = {
+            map: this.createDataTexture(albedo, THREE.SRGBColorSpace),
+            roughnessMap: this.createDataTexture(roughness, THREE.NoColorSpace),
+            normalMap: this.createNormalTexture(height, kind === 'fabric' ? 4 : 2)
+        };
+        
+        console.log(`Procedural ${kind} textures generated`);
+        return textureSet;
+    }
+    
+    sampleWood(u, v) {
+        // Growth rings running along U, warped by low-frequency noise, with pores along the grain
+        const warp = this.fbm(u, v, 2, 6, 3) * 1.5;
+        const rings = Math.sin((v * 18 + warp) * Math.PI * 2) * 0.5 + 0.5;
+        const pores = this.fbm(u, v, 4, 64, 2);
+        const grain = Math.pow(rings, 3) * 0.7 + pores * 0.3;
+        
+        return {
+            albedo: 1 - grain * 0.35,
+            roughness: 0.85 + grain * 0.15,
+            height: grain
+        };
+    }
+    
+    sampleFabric(u, v) {
+        // Plain weave: warp and weft threads alternate over and under
+        const threads = 48;
+        const cellU = u * threads;
+        const cellV = v * threads;
+        const warpOnTop = (Math.floor(cellU) + Math.floor(cellV)) % 2 === 0;
+        
+        // Rounded thread profile across the width of each thread
+        const across = warpOnTop ? cellU % 1 : cellV % 1;
+        const profile = Math.sin(across * Math.PI);
+        const fuzz = this.fbm(u, v, 128, 128, 2);
+        const height = profile * 0.8 + fuzz * 0.2;
+        
+        return {
+            albedo: 0.8 + height * 0.2,
+            roughness: 0.9 + fuzz * 0.1,
+            height
+        };
+    }
+    
+    sampleBrushedMetal(u, v) {
+        // Fine streaks along U: noise stretched heavily in one direction
+        const streaks = this.fbm(u, v, 2, 128, 3);
+        const scratches = this.fbm(u, v, 8, 512, 1);
+        const height = streaks * 0.7 + scratches * 0.3;
+        
+        return {
+            albedo: 0.9 + height * 0.1,
+            roughness: 0.7 + height * 0.3,
+            height
+        };
+    }
+    
+    createDataTexture(values, colorSpace) {
+        const data = new Uint8Array(values.length * 4);
+        
+        values.forEach((value, index) => {
+            const byte = Math.round(THREE.MathUtils.clamp(value, 0, 1) * 255);
+            data.set([byte, byte, byte, 255], index * 4);
+        });
+        
+        return this.finishTexture(new THREE.DataTexture(data, this.size, this.size), colorSpace);
+    }
+    
+    createNormalTexture(height, strength) {
+        const size = this.size;
+        const data = new Uint8Array(size * size * 4);
+        const sample = (x, y) => height[((y + size) % size) * size + ((x + size) % size)];
+        const normal = new THREE.Vector3();
+        
+        for (let y = 0; y < size; y++) {
+            for (let x = 0; x < size; x++) {
+                // Central differences, wrapping at the edges so the map tiles
+                const dx = (sample(x + 1, y) - sample(x - 1, y)) * strength;
+                const dy = (sample(x, y + 1) - sample(x, y - 1)) * strength;
+                normal.set(-dx, -dy, 1).normalize();
+                
+                data.set([
+                    Math.round((normal.x * 0.5 + 0.5) * 255),
+                    Math.round((normal.y * 0.5 + 0.5) * 255),
+                    Math.round((normal.z * 0.5 + 0.5) * 255),
+                    255
+                ], (y * size + x) * 4);
+            }
+        }
+        
+        return this.finishTexture(new THREE.DataTexture(data, size, size), THREE.NoColorSpace);
+    }
+    
+    finishTexture(texture, colorSpace) {
+        texture.colorSpace = colorSpace;
+        texture.wrapS = THREE.RepeatWrapping;
+        texture.wrapT = THREE.RepeatWrapping;
+        texture.repeat.set(1 / TEXTURE_TILE_SIZE, 1 / TEXTURE_TILE_SIZE);
+        texture.magFilter = THREE.LinearFilter;
+        texture.minFilter = THREE.LinearMipmapLinearFilter;
+        texture.generateMipmaps = true;
+        texture.anisotropy = 4;
+        texture.needsUpdate = true;
+        
+        return texture;
+    }
+    
+    // Tileable fractal value noise over the unit square, scales must be whole numbers to wrap
+    fbm(u, v, scaleU, scaleV, octaves) {
+        let value = 0;
+        let amplitude = 0.5;
+        let total = 0;
+        
+        for (let octave = 0; octave < octaves; octave++) {
+            const periodU = scaleU << octave;
+            const periodV = scaleV << octave;
+            value += this.valueNoise(u * periodU, v * periodV, periodU, periodV) * amplitude;
+            total += amplitude;
+            amplitude *= 0.5;
+        }
+        
+        return value / total;
+    }
+    
+    valueNoise(x, y, periodX, periodY) {
+        const x0 = Math.floor(x);
+        const y0 = Math.floor(y);
+        const fx = x - x0;
+        const fy = y - y0;
+        const sx = fx * fx * (3 - 2 * fx);
+        const sy = fy * fy * (3 - 2 * fy);
+        
+        // Wrap lattice coordinates so the noise repeats exactly once per texture
+        const corner = (cx, cy) => this.hash(
+            ((cx % periodX) + periodX) % periodX,
+            ((cy % periodY) + periodY) % periodY
+        );
+        const top = THREE.MathUtils.lerp(corner(x0, y0), corner(x0 + 1, y0), sx);
+        const bottom = THREE.MathUtils.lerp(corner(x0, y0 + 1), corner(x0 + 1, y0 + 1), sx);
+        
+        return THREE.MathUtils.lerp(top, bottom, sy);
+    }
+    
+    hash(x, y) {
+        const value = Math.sin(x * 127.1 + y * 311.7) * 43758.5453;
+        return value - Math.floor(value);
+    }
+}
+
+// ES6 export (already done above) 
\ No newline at end of file
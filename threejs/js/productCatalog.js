@@ -0,0 +1,26 @@
+/**
+ * Product Catalog Module
+ */
+
+import chairDefinition from '../products/chair.json';
+import stoolDefinition from '../products/stool.json';
+import tableDefinition from '../products/table.json';
+import benchDefinition from '../products/bench.json';
+
+// Products offered in the picker, the first entry is shown on start
+export const PRODUCT_CATALOG = [
+    { id: 'chair', label: 'Chair', definition: chairDefinition },
+    { id: 'stool', label: 'Stool', definition: stoolDefinition },
+    { id: 'table', label: 'Table', definition: tableDefinition },
+    { id: 'bench', label: 'Bench', definition: benchDefinition }
+];
+
+// Method to look up a catalog entry by id
+export function getCatalogProduct(id) {
+    const product = PRODUCT_CATALOG.find(candidate => candidate.id === id);
+    if (!product) {
+        throw new Error(`Unknown product: ${id}`);
+    }
+    
+    return product;
+}
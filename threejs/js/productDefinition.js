@@ -0,0 +1,278 @@
+/**
+ * Product Definition Module
+ */
+
+// Geometry types and their parameters, mirrors the schema
+export const GEOMETRY_TYPES = {
+    box: {
+        required: { width: 'positive', height: 'positive', depth: 'positive' },
+        optional: {}
+    },
+    cylinder: {
+        required: { radiusTop: 'nonNegative', radiusBottom: 'nonNegative', height: 'positive' },
+        optional: { radialSegments: 'segments' }
+    },
+    sphere: {
+        required: { radius: 'positive' },
+        optional: { widthSegments: 'segments', heightSegments: 'segments' }
+    }
+};
+
+const DEFINITION_FIELDS = ['$schema', 'name', 'currency', 'parts', 'joints'];
+const PART_FIELDS = [
+    'name', 'partType', 'description', 'sku', 'price', 'geometry', 'material',
+    'position', 'rotation', 'castShadow', 'receiveShadow', 'children'
+];
+const JOINT_FIELDS = ['name', 'parts', 'pivot', 'axis', 'limits', 'angle', 'parent'];
+
+export class ProductDefinitionError extends Error {
+    constructor(errors) {
+        super(`Invalid product definition:\n${errors.map(error => `  - ${error}`).join('\n')}`);
+        this.name = 'ProductDefinitionError';
+        this.errors = errors;
+    }
+}
+
+export class ProductDefinitionValidator {
+    constructor(materialKeys) {
+        this.materialKeys = materialKeys;
+        this.errors = [];
+    }
+    
+    // Method to validate a definition, throws ProductDefinitionError listing every problem
+    validate(definition) {
+        this.errors = [];
+        
+        if (!this.isObject(definition)) {
+            this.addError('(root)', 'expected an object', definition);
+        } else {
+            this.checkUnknownFields(definition, DEFINITION_FIELDS, '');
+            this.checkString(definition.name, 'name');
+            
+            if (definition.currency !== undefined && !/^[A-Z]{3}$/.test(definition.currency)) {
+                this.addError('currency', 'expected a three-letter currency code such as "USD"', definition.currency);
+            }
+            
+            if (!Array.isArray(definition.parts) || definition.parts.length === 0) {
+                this.addError('parts', 'expected a non-empty array', definition.parts);
+            } else {
+                definition.parts.forEach((part, index) => this.validatePart(part, `parts[${index}]`));
+            }
+            
+            if (definition.joints !== undefined) {
+                this.validateJoints(definition.joints, definition.parts);
+            }
+        }
+        
+        if (this.errors.length > 0) {
+            throw new ProductDefinitionError(this.errors);
+        }
+        
+        return definition;
+    }
+    
+    validatePart(part, path) {
+        if (!this.isObject(part)) {
+            this.addError(path, 'expected a part object', part);
+            return;
+        }
+        
+        this.checkUnknownFields(part, PART_FIELDS, path);
+        this.checkString(part.name, `${path}.name`);
+        this.checkString(part.partType, `${path}.partType`);
+        
+        if (part.description !== undefined && typeof part.description !== 'string') {
+            this.addError(`${path}.description`, 'expected a string', part.description);
+        }
+        if (part.sku !== undefined) {
+            this.checkString(part.sku, `${path}.sku`);
+        }
+        if (part.price !== undefined) {
+            this.checkNumber(part.price, 'nonNegative', `${path}.price`);
+        }
+        
+        this.validateGeometry(part.geometry, `${path}.geometry`);
+        
+        if (!this.materialKeys.includes(part.material)) {
+            this.addError(`${path}.material`, `expected one of ${this.formatList(this.materialKeys)}`, part.material);
+        }
+        
+        ['position', 'rotation'].forEach(field => {
+            if (part[field] !== undefined) {
+                this.checkVector3(part[field], `${path}.${field}`);
+            }
+        });
+        
+        ['castShadow', 'receiveShadow'].forEach(field => {
+            if (part[field] !== undefined && typeof part[field] !== 'boolean') {
+                this.addError(`${path}.${field}`, 'expected true or false', part[field]);
+            }
+        });
+        
+        if (part.children !== undefined) {
+            if (!Array.isArray(part.children)) {
+                this.addError(`${path}.children`, 'expected an array of parts', part.children);
+            } else {
+                part.children.forEach((child, index) => this.validatePart(child, `${path}.children[${index}]`));
+            }
+        }
+    }
+    
+    validateJoints(joints, parts) {
+        if (!Array.isArray(joints)) {
+            this.addError('joints', 'expected an array of joints', joints);
+            return;
+        }
+        
+        // Joints move top-level parts, their children come along
+        const partNames = Array.isArray(parts) ? parts.filter(part => this.isObject(part)).map(part => part.name) : [];
+        const jointNames = joints.filter(joint => this.isObject(joint)).map(joint => joint.name);
+        const movedParts = new Map();
+        
+        joints.forEach((joint, index) => {
+            const path = `joints[${index}]`;
+            if (!this.isObject(joint)) {
+                this.addError(path, 'expected a joint object', joint);
+                return;
+            }
+            
+            this.checkUnknownFields(joint, JOINT_FIELDS, path);
+            this.checkString(joint.name, `${path}.name`);
+            if (jointNames.indexOf(joint.name) !== index) {
+                this.addError(`${path}.name`, 'expected a name not used by another joint', joint.name);
+            }
+            
+            if (!Array.isArray(joint.parts) || joint.parts.length === 0) {
+                this.addError(`${path}.parts`, 'expected a non-empty array of part names', joint.parts);
+            } else {
+                joint.parts.forEach((name, partIndex) => {
+                    if (!partNames.includes(name)) {
+                        this.addError(`${path}.parts[${partIndex}]`, 'expected the name of a top-level part', name);
+                    } else if (movedParts.has(name) && movedParts.get(name) !== joint.name) {
+                        this.addError(`${path}.parts[${partIndex}]`, `part already moves with joint "${movedParts.get(name)}"`, name);
+                    } else {
+                        movedParts.set(name, joint.name);
+                    }
+                });
+            }
+            
+            this.checkVector3(joint.pivot, `${path}.pivot`);
+            this.checkVector3(joint.axis, `${path}.axis`);
+            if (Array.isArray(joint.axis) && joint.axis.every(component => component === 0)) {
+                this.addError(`${path}.axis`, 'expected a direction, not [0, 0, 0]', joint.axis);
+            }
+            
+            const limitsValid = Array.isArray(joint.limits) && joint.limits.length === 2 &&
+                joint.limits.every(limit => typeof limit === 'number' && Number.isFinite(limit)) &&
+                joint.limits[0] <= joint.limits[1];
+            if (!limitsValid) {
+                this.addError(`${path}.limits`, 'expected [min, max] in degrees with min <= max', joint.limits);
+            } else if (joint.angle !== undefined) {
+                this.checkNumber(joint.angle, 'number', `${path}.angle`);
+                if (joint.angle < joint.limits[0] || joint.angle > joint.limits[1]) {
+                    this.addError(`${path}.angle`, 'expected an angle within the limits', joint.angle);
+                }
+            }
+            
+            if (joint.parent !== undefined && (!jointNames.includes(joint.parent) || joint.parent === joint.name)) {
+                this.addError(`${path}.parent`, 'expected the name of another joint', joint.parent);
+            }
+        });
+        
+        // Following the parents has to end at a joint without one
+        joints.forEach((joint, index) => {
+            const seen = new Set();
+            let current = joint;
+            
+            while (this.isObject(current) && current.parent !== undefined) {
+                if (seen.has(current.name)) {
+                    this.addError(`joints[${index}].parent`, 'expected joints not to be their own ancestors', joint.parent);
+                    break;
+                }
+                seen.add(current.name);
+                
+                const parentName = current.parent;
+                current = joints.find(other => this.isObject(other) && other.name === parentName);
+            }
+        });
+    }
+    
+    validateGeometry(geometry, path) {
+        if (!this.isObject(geometry)) {
+            this.addError(path, 'expected a geometry object', geometry);
+            return;
+        }
+        
+        const spec = GEOMETRY_TYPES[geometry.type];
+        if (!spec) {
+            this.addError(`${path}.type`, `expected one of ${this.formatList(Object.keys(GEOMETRY_TYPES))}`, geometry.type);
+            return;
+        }
+        
+        this.checkUnknownFields(geometry, ['type', ...Object.keys(spec.required), ...Object.keys(spec.optional)], path);
+        
+        Object.entries(spec.required).forEach(([field, kind]) => {
+            this.checkNumber(geometry[field], kind, `${path}.${field}`);
+        });
+        
+        Object.entries(spec.optional).forEach(([field, kind]) => {
+            if (geometry[field] !== undefined) {
+                this.checkNumber(geometry[field], kind, `${path}.${field}`);
+            }
+        });
+    }
+    
+    checkUnknownFields(object, allowedFields, path) {
+        Object.keys(object)
+            .filter(field => !allowedFields.includes(field))
+            .forEach(field => {
+                this.addError(path ? `${path}.${field}` : field, `unknown field, expected one of ${this.formatList(allowedFields)}`);
+            });
+    }
+    
+    checkString(value, path) {
+        if (typeof value !== 'string' || value.trim() === '') {
+            this.addError(path, 'expected a non-empty string', value);
+        }
+    }
+    
+    checkNumber(value, kind, path) {
+        if (typeof value !== 'number' || !Number.isFinite(value)) {
+            this.addError(path, 'expected a number', value);
+        } else if (kind === 'positive' && value <= 0) {
+            this.addError(path, 'expected a number greater than 0', value);
+        } else if (kind === 'nonNegative' && value < 0) {
+            this.addError(path, 'expected a number of 0 or more', value);
+        } else if (kind === 'segments' && (!Number.isInteger(value) || value < 3)) {
+            this.addError(path, 'expected a whole number of 3 or more', value);
+        }
+    }
+    
+    checkVector3(value, path) {
+        const valid = Array.isArray(value) && value.length === 3 &&
+            value.every(component => typeof component === 'number' && Number.isFinite(component));
+        
+        if (!valid) {
+            this.addError(path, 'expected an array of three numbers [x, y, z]', value);
+        }
+    }
+    
+    addError(path, message, value) {
+        let received = '';
+        if (arguments.length > 2) {
+            received = value === undefined ? ' (missing)' : ` (got ${JSON.stringify(value)})`;
+        }
+        
+        this.errors.push(`${path}: ${message}${received}`);
+    }
+    
+    isObject(value) {
+        return value !== null && typeof value === 'object' && !Array.isArray(value);
+    }
+    
+    formatList(values) {
+        return values.map(value => `"${value}"`).join(', ');
+    }
+}
+
+// ES6 export (already done above) 
\ No newline at end of file
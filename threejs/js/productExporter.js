@@ -0,0 +1,155 @@
+/**
+ * Product Export Module
+ */
+
+import { GLTFExporter } from 'three/addons/exporters/GLTFExporter.js';
+import { OBJExporter } from 'three/addons/exporters/OBJExporter.js';
+import { STLExporter } from 'three/addons/exporters/STLExporter.js';
+
+// Part metadata written to glTF extras, everything else in userData is viewer state
+const EXPORTED_USER_DATA = ['name', 'partType', 'materialKey', 'description', 'sku', 'price'];
+
+export const EXPORT_FORMATS = {
+    glb: { extension: 'glb', mimeType: 'model/gltf-binary' },
+    gltf: { extension: 'gltf', mimeType: 'model/gltf+json' },
+    obj: { extension: 'obj', mimeType: 'text/plain' },
+    stl: { extension: 'stl', mimeType: 'model/stl' }
+};
+
+export class ProductExporter {
+    constructor(productCreator, getBaseMaterial, onError, root = document) {
+        this.productCreator = productCreator;
+        
+        // Callback returning a part's material without hover/selection effects
+        this.getBaseMaterial = getBaseMaterial;
+        this.onError = onError;
+        
+        // UI elements
+        this.exportButton = root.getElementById('export-product');
+        this.formatSelect = root.getElementById('export-format');
+        
+        this.setupEventListeners();
+        
+        console.log('Product exporter initialized successfully');
+    }
+    
+    setupEventListeners() {
+        // Store bound method for proper cleanup
+        this.boundExport = () => {
+            this.exportProduct(this.formatSelect.value).catch(error => {
+                console.error('Export failed:', error);
+                this.onError(error);
+            });
+        };
+        
+        this.exportButton.addEventListener('click', this.boundExport);
+    }
+    
+    async exportProduct(format) {
+        const spec = EXPORT_FORMATS[format];
+        if (!spec) {
+            throw new Error(`Unsupported export format: ${format}`);
+        }
+        
+        this.exportButton.disabled = true;
+        
+        try {
+            const product = this.createCleanCopy();
+            const data = await this.serialize(product, format);
+            const definition = this.productCreator.productDefinition;
+            const baseName = (definition ? definition.name : 'product').toLowerCase().replace(/\s+/g, '-');
+            
+            this.download(data, `${baseName}.${spec.extension}`, spec.mimeType);
+            console.log(`Product exported as ${format.toUpperCase()}`);
+        } finally {
+            this.exportButton.disabled = false;
+        }
+    }
+    
+    // Method to copy the product without transient viewer state
+    createCleanCopy() {
+        const productGroup = this.productCreator.getProductGroup();
+        const copy = productGroup.clone();
+        
+        // Clones keep the child order, so walk both trees side by side
+        const originals = [];
+        const copies = [];
+        productGroup.traverse(object => originals.push(object));
+        copy.traverse(object => copies.push(object));
+        
+        copies.forEach((object, index) => {
+            const original = originals[index];
+            
+            // Hover and pulse animations scale parts, the exploded view moves them
+            if (original.userData.originalScale) {
+                object.scale.copy(original.userData.originalScale);
+            }
+            if (original.userData.explode) {
+                object.position.copy(original.userData.explode.basePosition);
+            }
+            
+            if (object.isMesh) {
+                object.material = this.getBaseMaterial(original) || original.material;
+            }
+            
+            object.userData = this.pickUserData(original.userData);
+        });
+        
+        // Back to the resting pose, upright at the origin, without the floating offset, a running
+        // tilt test's turn or a transition scale
+        copy.position.set(0, productGroup.userData.originalY ?? 0, 0);
+        copy.quaternion.identity();
+        copy.scale.setScalar(1);
+        copy.name = this.productCreator.productDefinition ? this.productCreator.productDefinition.name : 'Product';
+        copy.updateMatrixWorld(true);
+        
+        return copy;
+    }
+    
+    pickUserData(userData) {
+        const picked = {};
+        EXPORTED_USER_DATA.forEach(key => {
+            if (userData[key] !== undefined) {
+                picked[key] = userData[key];
+            }
+        });
+        return picked;
+    }
+    
+    async serialize(product, format) {
+        switch (format) {
+            case 'glb':
+                return new GLTFExporter().parseAsync(product, { binary: true });
+            case 'gltf':
+                return JSON.stringify(await new GLTFExporter().parseAsync(product, { binary: false }), null, 2);
+            case 'obj':
+                return new OBJExporter().parse(product);
+            case 'stl':
+                return new STLExporter().parse(product, { binary: true });
+            default:
+                throw new Error(`Unsupported export format: ${format}`);
+        }
+    }
+    
+    download(data, filename, mimeType) {
+        const blob = new Blob([data], { type: mimeType });
+        const url = URL.createObjectURL(blob);
+        
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        
+        // Give the browser a moment to start the download before revoking
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    }
+    
+    // Clean up method
+    destroy() {
+        this.exportButton.removeEventListener('click', this.boundExport);
+    }
+}
+
+// ES6 export (already done above) 
\ No newline at end of file
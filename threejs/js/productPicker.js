@@ -0,0 +1,65 @@
+/**
+ * Product Picker Module
+ */
+
+import { PRODUCT_CATALOG } from './productCatalog.js';
+
+export class ProductPicker {
+    constructor(onSelect, root = document) {
+        this.onSelect = onSelect;
+        this.activeId = PRODUCT_CATALOG[0].id;
+        
+        // UI elements
+        this.panel = root.getElementById('product-picker');
+        
+        this.createButtons();
+        this.setupEventListeners();
+        this.setActive(this.activeId);
+        
+        console.log('Product picker initialized successfully');
+    }
+    
+    createButtons() {
+        PRODUCT_CATALOG.forEach(product => {
+            const button = document.createElement('button');
+            button.textContent = product.label;
+            button.dataset.product = product.id;
+            this.panel.appendChild(button);
+        });
+    }
+    
+    setupEventListeners() {
+        // Store bound method for proper cleanup
+        this.boundClick = (event) => {
+            const button = event.target.closest('[data-product]');
+            if (button && !button.disabled && button.dataset.product !== this.activeId) {
+                this.onSelect(button.dataset.product);
+            }
+        };
+        
+        this.panel.addEventListener('click', this.boundClick);
+    }
+    
+    // Method to highlight the product on display, null when a custom product is loaded
+    setActive(id) {
+        this.activeId = id;
+        
+        this.panel.querySelectorAll('[data-product]').forEach(button => {
+            button.classList.toggle('active', button.dataset.product === id);
+        });
+    }
+    
+    // Method to block switching while a transition is running
+    setBusy(busy) {
+        this.panel.querySelectorAll('[data-product]').forEach(button => {
+            button.disabled = busy;
+        });
+    }
+    
+    // Clean up method
+    destroy() {
+        this.panel.removeEventListener('click', this.boundClick);
+    }
+}
+
+// ES6 export (already done above) 
\ No newline at end of file
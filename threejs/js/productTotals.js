@@ -0,0 +1,60 @@
+/**
+ * Product Totals Module
+ */
+
+export class ProductTotals {
+    constructor(productCreator, interactionManager, root = document) {
+        this.productCreator = productCreator;
+        this.interactionManager = interactionManager;
+        
+        // UI elements
+        this.totalsElement = root.getElementById('product-totals');
+        
+        this.setupEventListeners();
+        this.refresh();
+        
+        console.log('Product totals initialized successfully');
+    }
+    
+    setupEventListeners() {
+        // Store bound method for proper cleanup
+        this.boundRefresh = () => this.refresh();
+        
+        // Rebuilt, reconfigured or newly loaded parts, and variants with other densities
+        this.interactionManager.addEventListener('partschange', this.boundRefresh);
+        this.productCreator.addEventListener('variantchange', this.boundRefresh);
+    }
+    
+    refresh() {
+        const totals = this.productCreator.getProductEstimate();
+        const rows = [
+            ['Parts', String(totals.partCount)],
+            ['Volume', `${totals.volume.toFixed(3)} m³`]
+        ];
+        
+        // Loaded models have no material slots to take densities and prices from
+        if (totals.unestimatedCount < totals.partCount) {
+            const formatter = new Intl.NumberFormat(undefined, { style: 'currency', currency: totals.currency });
+            const partial = totals.unestimatedCount > 0 ? ` (${totals.unestimatedCount} parts without material data)` : '';
+            
+            rows.push(['Weight', `${totals.weight.toFixed(1)} kg${partial}`]);
+            rows.push(['Material cost', `${formatter.format(totals.cost)}${partial}`]);
+        }
+        
+        this.totalsElement.replaceChildren(...rows.flatMap(([label, value]) => {
+            const term = document.createElement('dt');
+            term.textContent = label;
+            const detail = document.createElement('dd');
+            detail.textContent = value;
+            return [term, detail];
+        }));
+    }
+    
+    // Clean up method
+    destroy() {
+        this.interactionManager.removeEventListener('partschange', this.boundRefresh);
+        this.productCreator.removeEventListener('variantchange', this.boundRefresh);
+    }
+}
+
+// ES6 export (already done above) 
\ No newline at end of file
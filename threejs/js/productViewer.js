@@ -0,0 +1,101 @@
+/**
+ * Product Viewer Module
+ */
+
+import { App } from './main.js';
+import { VIEWER_TEMPLATE } from './viewerTemplate.js';
+import viewerStyles from '../css/style.css?inline';
+
+// Method to create a viewer inside a container element, e.g. a <div> on a storefront page.
+// Options are described at DEFAULT_VIEWER_OPTIONS in main.js. The viewer lives in the
+// container's shadow root, so several viewers and the page's own styles don't interfere
+export function createViewer(container, options = {}) {
+    const root = container.shadowRoot || container.attachShadow({ mode: 'open' });
+    root.innerHTML = `<style>${viewerStyles}</style>${VIEWER_TEMPLATE}`;
+    
+    return new App(root, options);
+}
+
+// <product-viewer product="stool" auto-rotate="false" hide="toolbar outliner"></product-viewer>
+// Attributes are read when the element is added to the page, the options property can
+// set anything the attributes can't, such as { orbit: { enablePan: false } }
+export class ProductViewerElement extends HTMLElement {
+    constructor() {
+        super();
+        
+        this.options = {};
+        this.viewer = null;
+    }
+    
+    connectedCallback() {
+        if (this.viewer) return;
+        
+        const attributes = this.getAttributeOptions();
+        this.viewer = createViewer(this, {
+            ...attributes,
+            ...this.options,
+            camera: { ...attributes.camera, ...this.options.camera },
+            orbit: { ...attributes.orbit, ...this.options.orbit },
+            effects: { ...attributes.effects, ...this.options.effects },
+            environment: { ...attributes.environment, ...this.options.environment },
+            ui: { ...attributes.ui, ...this.options.ui }
+        });
+    }
+    
+    disconnectedCallback() {
+        if (this.viewer) {
+            this.viewer.destroy();
+            this.viewer = null;
+        }
+    }
+    
+    getAttributeOptions() {
+        const options = {};
+        const vector = name => this.getAttribute(name).trim().split(/[\s,]+/).map(Number);
+        
+        if (this.hasAttribute('product')) options.product = this.getAttribute('product');
+        if (this.hasAttribute('product-url')) options.productUrl = this.getAttribute('product-url');
+        if (this.hasAttribute('model-url')) options.modelUrl = this.getAttribute('model-url');
+        if (this.hasAttribute('auto-rotate')) options.autoRotate = this.getAttribute('auto-rotate') !== 'false';
+        if (this.hasAttribute('floating')) options.floating = this.getAttribute('floating') !== 'false';
+        if (this.hasAttribute('render-on-demand')) options.renderOnDemand = this.getAttribute('render-on-demand') !== 'false';
+        
+        // camera-position="5 3 5" and camera-target="0 1 0", in meters
+        options.camera = {};
+        if (this.hasAttribute('camera-position')) options.camera.position = vector('camera-position');
+        if (this.hasAttribute('camera-target')) options.camera.target = vector('camera-target');
+        
+        options.orbit = {};
+        if (this.hasAttribute('min-distance')) options.orbit.minDistance = Number(this.getAttribute('min-distance'));
+        if (this.hasAttribute('max-distance')) options.orbit.maxDistance = Number(this.getAttribute('max-distance'));
+        
+        // effects="ssao bloom" switches effects on, antialias="smaa" picks the edge smoothing
+        options.effects = {};
+        if (this.hasAttribute('effects')) {
+            this.getAttribute('effects').trim().split(/\s+/).filter(Boolean).forEach(name => {
+                options.effects[name] = true;
+            });
+        }
+        if (this.hasAttribute('antialias')) options.effects.antialias = this.getAttribute('antialias');
+        
+        // environment-url="studio.hdr" lights the product with a panorama, background="solid" with background-color
+        options.environment = {};
+        if (this.hasAttribute('environment')) options.environment.source = this.getAttribute('environment');
+        if (this.hasAttribute('environment-url')) options.environment.url = this.getAttribute('environment-url');
+        if (this.hasAttribute('background')) options.environment.background = this.getAttribute('background');
+        if (this.hasAttribute('background-color')) options.environment.backgroundColor = this.getAttribute('background-color');
+        
+        // hide="toolbar outliner" switches off interface parts by their UI_ELEMENTS key
+        if (this.hasAttribute('hide')) {
+            options.ui = Object.fromEntries(this.getAttribute('hide').trim().split(/\s+/).filter(Boolean).map(key => [key, false]));
+        }
+        
+        return options;
+    }
+}
+
+if (!customElements.get('product-viewer')) {
+    customElements.define('product-viewer', ProductViewerElement);
+}
+
+// ES6 export (already done above) 
\ No newline at end of file
@@ -0,0 +1,195 @@
+/**
+ * Screenshot Export Module
+ */
+
+// Browsers refuse to create larger 2D canvases, the output image is drawn on one
+const MAX_IMAGE_SIZE = 16384;
+
+// Largest tile side, keeps the multisampled buffers of a tile within GPU memory
+const MAX_TILE_SIZE = 4096;
+
+export class ScreenshotExporter {
+    constructor(sceneManager, interactionManager, productCreator, productExporter, ground, environmentManager, root = document) {
+        this.sceneManager = sceneManager;
+        this.renderer = sceneManager.renderer;
+        this.interactionManager = interactionManager;
+        this.productCreator = productCreator;
+        
+        // Shares the download handling of the model exporter
+        this.productExporter = productExporter;
+        
+        // Left out of transparent screenshots together with the fog
+        this.ground = ground;
+        
+        // Paints the page background, gradient or solid, behind opaque screenshots
+        this.environmentManager = environmentManager;
+        
+        // UI elements
+        this.saveButton = root.getElementById('save-image');
+        this.sizeSelect = root.getElementById('screenshot-size');
+        this.widthInput = root.getElementById('screenshot-width');
+        this.heightInput = root.getElementById('screenshot-height');
+        this.transparentCheckbox = root.getElementById('screenshot-transparent');
+        
+        this.setupEventListeners();
+        this.updateSizeInputs();
+        
+        console.log('Screenshot exporter initialized successfully');
+    }
+    
+    setupEventListeners() {
+        // Store bound methods for proper cleanup
+        this.boundSave = () => {
+            const { width, height } = this.getSelectedSize();
+            this.saveImage(width, height, { transparent: this.transparentCheckbox.checked }).catch(error => {
+                console.error('Screenshot failed:', error);
+                this.productExporter.onError(error);
+            });
+        };
+        this.boundSizeChange = () => this.updateSizeInputs();
+        
+        this.saveButton.addEventListener('click', this.boundSave);
+        this.sizeSelect.addEventListener('change', this.boundSizeChange);
+    }
+    
+    // Method to show the width and height inputs for a custom size, prefilled with the last preset
+    updateSizeInputs() {
+        const custom = this.sizeSelect.value === 'custom';
+        
+        if (!custom) {
+            const [width, height] = this.sizeSelect.value.split('x').map(Number);
+            this.widthInput.value = width;
+            this.heightInput.value = height;
+        }
+        
+        this.widthInput.classList.toggle('hidden', !custom);
+        this.heightInput.classList.toggle('hidden', !custom);
+    }
+    
+    getSelectedSize() {
+        if (this.sizeSelect.value === 'custom') {
+            return { width: Number(this.widthInput.value), height: Number(this.heightInput.value) };
+        }
+        
+        const [width, height] = this.sizeSelect.value.split('x').map(Number);
+        return { width, height };
+    }
+    
+    // Method to render the current view at any size and download it as a PNG.
+    // Transparent images leave out the ground, fog and background for a cut-out product shot
+    async saveImage(width, height, { transparent = false } = {}) {
+        [width, height].forEach(size => {
+            if (!Number.isInteger(size) || size < 1 || size > MAX_IMAGE_SIZE) {
+                throw new Error(`Invalid image size: ${width} × ${height}, expected whole pixels up to ${MAX_IMAGE_SIZE}`);
+            }
+        });
+        
+        this.saveButton.disabled = true;
+        
+        try {
+            const canvas = this.interactionManager.withoutHighlights(() => this.renderImage(width, height, transparent));
+            const blob = await new Promise((resolve, reject) => {
+                canvas.toBlob(result => result ? resolve(result) : reject(new Error('PNG encoding failed')), 'image/png');
+            });
+            
+            const definition = this.productCreator.productDefinition;
+            const baseName = (definition ? definition.name : 'product').toLowerCase().replace(/\s+/g, '-');
+            this.productExporter.download(blob, `${baseName}-${width}x${height}.png`, 'image/png');
+            
+            console.log(`Screenshot saved at ${width} × ${height}${transparent ? ' with a transparent background' : ''}`);
+        } finally {
+            this.saveButton.disabled = false;
+        }
+    }
+    
+    // Method to render the image in tiles no larger than the GPU allows, each through
+    // an off-center slice of a camera with the image's aspect ratio
+    renderImage(width, height, transparent) {
+        const canvas = document.createElement('canvas');
+        canvas.width = width;
+        canvas.height = height;
+        const context = canvas.getContext('2d');
+        
+        if (!transparent) {
+            this.environmentManager.paintBackground(context, width, height);
+        }
+        
+        const camera = this.sceneManager.camera.clone();
+        camera.aspect = width / height;
+        
+        const scene = this.sceneManager.scene;
+        const fog = scene.fog;
+        const background = scene.background;
+        const groundVisible = this.ground.visible;
+        
+        if (transparent) {
+            scene.fog = null;
+            scene.background = null;
+            this.ground.visible = false;
+        }
+        
+        try {
+            // The canvas draws the tiles, so tone mapping, color conversion and effects match the view
+            this.renderer.setPixelRatio(1);
+            const tileSize = this.getTileSize(width, height);
+            
+            const renderTiles = () => {
+                for (let y = 0; y < height; y += tileSize.height) {
+                    for (let x = 0; x < width; x += tileSize.width) {
+                        const tileWidth = Math.min(tileSize.width, width - x);
+                        const tileHeight = Math.min(tileSize.height, height - y);
+                        
+                        this.sceneManager.setSize(tileWidth, tileHeight, 1);
+                        camera.setViewOffset(width, height, x, y, tileWidth, tileHeight);
+                        this.sceneManager.render(camera);
+                        
+                        // Copied before the browser presents, and so clears, the drawing buffer
+                        context.drawImage(this.renderer.domElement, 0, 0, tileWidth, tileHeight, x, y, tileWidth, tileHeight);
+                    }
+                }
+            };
+            
+            // Ambient occlusion and bloom would show seams where the tiles meet, so a tiled image goes without
+            if (tileSize.width < width || tileSize.height < height) {
+                console.log('Screenshot drawn in tiles, ambient occlusion and bloom are left out');
+                this.sceneManager.effects.withoutScreenSpaceEffects(renderTiles);
+            } else {
+                renderTiles();
+            }
+        } finally {
+            scene.fog = fog;
+            scene.background = background;
+            this.ground.visible = groundVisible;
+            
+            // Back to the container's size, which draws the view again so no empty frame shows
+            this.sceneManager.resize();
+        }
+        
+        return canvas;
+    }
+    
+    // Method to find the largest tile the GPU and the browser can draw, no larger than the image
+    getTileSize(width, height) {
+        const gl = this.renderer.getContext();
+        const [maxViewportWidth, maxViewportHeight] = gl.getParameter(gl.MAX_VIEWPORT_DIMS);
+        const maxSize = Math.min(MAX_TILE_SIZE, this.renderer.capabilities.maxTextureSize, gl.getParameter(gl.MAX_RENDERBUFFER_SIZE));
+        const tileWidth = Math.min(width, maxSize, maxViewportWidth);
+        const tileHeight = Math.min(height, maxSize, maxViewportHeight);
+        
+        // Browsers may give the canvas a smaller drawing buffer than asked for
+        this.renderer.setSize(tileWidth, tileHeight, false);
+        
+        return {
+            width: Math.min(tileWidth, gl.drawingBufferWidth),
+            height: Math.min(tileHeight, gl.drawingBufferHeight)
+        };
+    }
+    
+    // Clean up method
+    destroy() {
+        this.saveButton.removeEventListener('click', this.boundSave);
+        this.sizeSelect.removeEventListener('change', this.boundSizeChange);
+    }
+}
+
+// ES6 export (already done above) 
\ No newline at end of file
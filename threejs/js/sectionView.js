@@ -0,0 +1,300 @@
+/**
+ * Section View Module
+ */
+
+import * as THREE from 'three';
+
+// The half beyond the plane along these normals is cut away, so the Y cut opens the product from above
+const SECTION_AXES = {
+    x: new THREE.Vector3(1, 0, 0),
+    y: new THREE.Vector3(0, 1, 0),
+    z: new THREE.Vector3(0, 0, 1)
+};
+
+const CAP_COLOR = 0xe07a5f;
+
+export class SectionView {
+    constructor(sceneManager, productCreator, interactionManager, root = document) {
+        this.scene = sceneManager.scene;
+        this.camera = sceneManager.camera;
+        this.renderer = sceneManager.renderer;
+        this.effects = sceneManager.effects;
+        this.productCreator = productCreator;
+        this.productGroup = productCreator.getProductGroup();
+        this.interactionManager = interactionManager;
+        
+        // Section state
+        this.isActive = false;
+        this.axis = 'x';
+        this.position = 0.5; // 0..1 across the product along the plane normal
+        this.flipped = false;
+        
+        // World-space plane shared by every clipped material, and the product-space bounds it moves across
+        this.plane = new THREE.Plane();
+        this.planes = [this.plane];
+        this.bounds = new THREE.Box3();
+        this.clippedMaterials = new Set();
+        
+        // Stencil copies of the parts, used to find where the cut passes through solid parts
+        this.stencilRoot = new THREE.Group();
+        this.stencilRoot.name = 'Section stencil';
+        this.stencilMeshes = [];
+        this.stencilParts = null;
+        
+        this.createStencilMaterials();
+        this.createCap();
+        
+        // UI elements
+        this.toggleButton = root.getElementById('toggle-section');
+        this.axisSelect = root.getElementById('section-axis');
+        this.positionSlider = root.getElementById('section-position');
+        this.flipButton = root.getElementById('flip-section');
+        
+        this.axisSelect.value = this.axis;
+        this.positionSlider.value = this.position;
+        this.setupEventListeners();
+        
+        console.log('Section view initialized successfully');
+    }
+    
+    setupEventListeners() {
+        // Store bound methods for proper cleanup
+        this.boundToggle = () => this.setActive(!this.isActive);
+        this.boundAxisChange = () => this.setAxis(this.axisSelect.value);
+        this.boundPositionChange = () => this.setPosition(Number(this.positionSlider.value));
+        this.boundFlip = () => {
+            this.flipped = !this.flipped;
+            this.flipButton.classList.toggle('active', this.flipped);
+        };
+        
+        this.toggleButton.addEventListener('click', this.boundToggle);
+        this.axisSelect.addEventListener('change', this.boundAxisChange);
+        this.positionSlider.addEventListener('input', this.boundPositionChange);
+        this.flipButton.addEventListener('click', this.boundFlip);
+    }
+    
+    createStencilMaterials() {
+        // Back faces count +1 and front faces -1, leaving a non-zero stencil
+        // wherever the cut plane passes through the inside of a part
+        const stencilMaterial = (side, zPass) => new THREE.MeshBasicMaterial({
+            side,
+            depthWrite: false,
+            depthTest: false,
+            colorWrite: false,
+            stencilWrite: true,
+            stencilFunc: THREE.AlwaysStencilFunc,
+            stencilFail: zPass,
+            stencilZFail: zPass,
+            stencilZPass: zPass,
+            clippingPlanes: this.planes
+        });
+        
+        this.backStencilMaterial = stencilMaterial(THREE.BackSide, THREE.IncrementWrapStencilOp);
+        this.frontStencilMaterial = stencilMaterial(THREE.FrontSide, THREE.DecrementWrapStencilOp);
+    }
+    
+    createCap() {
+        this.cap = new THREE.Group();
+        this.cap.name = 'Section cap';
+        
+        // Fills the marked stencil area and resets it for the next frame
+        const capFace = new THREE.Mesh(
+            new THREE.PlaneGeometry(1, 1),
+            new THREE.MeshStandardMaterial({
+                color: CAP_COLOR,
+                roughness: 0.8,
+                side: THREE.DoubleSide,
+                stencilWrite: true,
+                stencilRef: 0,
+                stencilFunc: THREE.NotEqualStencilFunc,
+                stencilFail: THREE.ReplaceStencilOp,
+                stencilZFail: THREE.ReplaceStencilOp,
+                stencilZPass: THREE.ReplaceStencilOp
+            })
+        );
+        capFace.renderOrder = 2;
+        
+        const outline = new THREE.LineLoop(
+            new THREE.BufferGeometry().setFromPoints([
+                new THREE.Vector3(-0.5, -0.5, 0), new THREE.Vector3(0.5, -0.5, 0),
+                new THREE.Vector3(0.5, 0.5, 0), new THREE.Vector3(-0.5, 0.5, 0)
+            ]),
+            new THREE.LineBasicMaterial({ color: CAP_COLOR, transparent: true, opacity: 0.6 })
+        );
+        
+        this.cap.add(capFace, outline);
+    }
+    
+    setActive(active) {
+        this.isActive = active;
+        this.toggleButton.classList.toggle('active', active);
+        this.effects.suspendSsao(active);
+        
+        if (active) {
+            this.renderer.localClippingEnabled = true;
+            this.scene.add(this.stencilRoot, this.cap);
+            this.interactionManager.clippingPlanes = this.planes;
+            this.update();
+        } else {
+            this.scene.remove(this.stencilRoot, this.cap);
+            this.clearStencilMeshes();
+            this.interactionManager.clippingPlanes = [];
+            
+            this.clippedMaterials.forEach(material => {
+                material.clippingPlanes = null;
+                material.needsUpdate = true;
+            });
+            this.clippedMaterials.clear();
+        }
+    }
+    
+    setAxis(axis) {
+        if (axis !== 'camera' && !SECTION_AXES[axis]) {
+            throw new Error(`Unknown section axis: ${axis}`);
+        }
+        
+        this.axis = axis;
+        this.axisSelect.value = axis;
+    }
+    
+    setPosition(position) {
+        this.position = THREE.MathUtils.clamp(position, 0, 1);
+        
+        // Moving the slider implies the user wants to see the cut
+        if (!this.isActive) {
+            this.setActive(true);
+        }
+    }
+    
+    // Method to create stencil copies of the current parts
+    createStencilMeshes() {
+        this.clearStencilMeshes();
+        
+        const parts = this.productCreator.getInteractiveParts();
+        parts.forEach(part => {
+            [this.backStencilMaterial, this.frontStencilMaterial].forEach(material => {
+                const mesh = new THREE.Mesh(part.geometry, material);
+                mesh.matrixAutoUpdate = false;
+                mesh.renderOrder = 1;
+                mesh.userData.part = part;
+                
+                this.stencilRoot.add(mesh);
+                this.stencilMeshes.push(mesh);
+            });
+        });
+        
+        this.stencilParts = new Set(parts);
+        this.bounds = new THREE.Box3();
+        parts.forEach(part => this.bounds.union(this.productCreator.getPartBounds(part)));
+    }
+    
+    clearStencilMeshes() {
+        // Geometries belong to the parts
+        this.stencilMeshes.forEach(mesh => this.stencilRoot.remove(mesh));
+        this.stencilMeshes = [];
+        this.stencilParts = null;
+    }
+    
+    partsChanged() {
+        const parts = this.productCreator.getInteractiveParts();
+        return !this.stencilParts || parts.length !== this.stencilParts.size ||
+            parts.some(part => !this.stencilParts.has(part));
+    }
+    
+    // Method to get the plane normal in productGroup space
+    getLocalNormal() {
+        let normal;
+        if (this.axis === 'camera') {
+            // Pointing back at the camera, so the half nearest to the viewer is cut away
+            const inverse = this.productGroup.matrixWorld.clone().invert();
+            normal = this.camera.getWorldDirection(new THREE.Vector3()).negate().transformDirection(inverse);
+        } else {
+            normal = SECTION_AXES[this.axis].clone();
+        }
+        
+        return this.flipped ? normal.negate() : normal;
+    }
+    
+    // Method to apply the shared plane to every material the product currently draws with
+    applyClipping() {
+        const materials = new Set();
+        
+        this.productGroup.traverse(object => {
+            if (!object.isMesh) return;
+            
+            [object.material, this.productCreator.materialStates.getBaseMaterial(object)]
+                .flat()
+                .forEach(material => materials.add(material));
+        });
+        
+        materials.forEach(material => {
+            // Hover and selection copies are cloned with copies of the plane, point them back
+            if (material.clippingPlanes !== this.planes) {
+                material.clippingPlanes = this.planes;
+                material.needsUpdate = true;
+                this.clippedMaterials.add(material);
+            }
+        });
+    }
+    
+    // Method to be called in the animation loop, after everything that moves parts
+    update() {
+        if (!this.isActive) return;
+        
+        if (this.partsChanged()) {
+            this.createStencilMeshes();
+        }
+        
+        this.productGroup.updateMatrixWorld(true);
+        
+        // Position the plane across the product's extent along the normal
+        const normal = this.getLocalNormal();
+        const corners = [0, 1, 2, 3, 4, 5, 6, 7].map(index => new THREE.Vector3(
+            index & 1 ? this.bounds.max.x : this.bounds.min.x,
+            index & 2 ? this.bounds.max.y : this.bounds.min.y,
+            index & 4 ? this.bounds.max.z : this.bounds.min.z
+        ));
+        const distances = corners.map(corner => corner.dot(normal));
+        const offset = THREE.MathUtils.lerp(Math.min(...distances), Math.max(...distances), this.position);
+        
+        // Points beyond the offset along the normal are the ones clipped away
+        this.plane.set(normal.clone().negate(), offset);
+        this.plane.applyMatrix4(this.productGroup.matrixWorld);
+        
+        this.applyClipping();
+        
+        this.stencilMeshes.forEach(mesh => {
+            const part = mesh.userData.part;
+            mesh.matrix.copy(part.matrixWorld);
+            mesh.matrixWorldNeedsUpdate = true;
+            mesh.visible = this.interactionManager.isPartVisible(part);
+        });
+        
+        // Center the cap on the product and face it along the plane
+        const center = this.bounds.getCenter(new THREE.Vector3()).applyMatrix4(this.productGroup.matrixWorld);
+        const size = this.bounds.getSize(new THREE.Vector3()).length() * this.productGroup.scale.x;
+        
+        this.plane.projectPoint(center, this.cap.position);
+        this.cap.lookAt(this.cap.position.clone().add(this.plane.normal));
+        this.cap.scale.set(size, size, 1);
+    }
+    
+    // Clean up method
+    destroy() {
+        this.setActive(false);
+        
+        this.backStencilMaterial.dispose();
+        this.frontStencilMaterial.dispose();
+        this.cap.traverse(object => {
+            if (object.geometry) object.geometry.dispose();
+            if (object.material) object.material.dispose();
+        });
+        
+        this.toggleButton.removeEventListener('click', this.boundToggle);
+        this.axisSelect.removeEventListener('change', this.boundAxisChange);
+        this.positionSlider.removeEventListener('input', this.boundPositionChange);
+        this.flipButton.removeEventListener('click', this.boundFlip);
+    }
+}
+
+// ES6 export (already done above) 
\ No newline at end of file
@@ -0,0 +1,496 @@
+/**
+ * Stability Analysis Module
+ */
+
+import * as THREE from 'three';
+
+// Tipping directions in productGroup space, the front of a product faces +Z
+export const TIP_DIRECTIONS = {
+    front: { label: 'Front', direction: new THREE.Vector3(0, 0, 1) },
+    back: { label: 'Back', direction: new THREE.Vector3(0, 0, -1) },
+    left: { label: 'Left', direction: new THREE.Vector3(-1, 0, 0) },
+    right: { label: 'Right', direction: new THREE.Vector3(1, 0, 0) }
+};
+
+// Parts without material data, e.g. from loaded models, are weighed as if made of water
+const FALLBACK_DENSITY = 1000;
+
+// Vertices this close to the lowest point, relative to the product height, rest on the floor
+const GROUND_TOLERANCE = 0.01;
+
+// Tilt test phases in milliseconds
+const TILT_DURATION = 1500;
+const TILT_HOLD = 700;
+const TILT_RETURN = 800;
+
+const STABLE_COLOR = 0x2a9d8f;
+const UNSTABLE_COLOR = 0xe63946;
+
+export class StabilityAnalyzer {
+    constructor(scene, productCreator, interactionManager, root = document) {
+        this.scene = scene;
+        this.productCreator = productCreator;
+        this.productGroup = productCreator.getProductGroup();
+        this.interactionManager = interactionManager;
+        
+        // Analysis state
+        this.isActive = false;
+        this.result = null;
+        this.tiltTest = null;
+        this.geometryCentroids = new WeakMap();
+        
+        // The overlay follows the product group without being part of it, like the measurements
+        this.root = new THREE.Group();
+        this.root.name = 'Stability';
+        this.root.visible = false;
+        this.scene.add(this.root);
+        this.overlay = null;
+        
+        // UI elements
+        this.toggleButton = root.getElementById('toggle-stability');
+        this.panel = root.getElementById('stability-panel');
+        this.detailsElement = root.getElementById('stability-details');
+        this.directionSelect = root.getElementById('tilt-direction');
+        this.tiltButton = root.getElementById('tilt-test');
+        
+        this.setupEventListeners();
+        
+        console.log('Stability analyzer initialized successfully');
+    }
+    
+    setupEventListeners() {
+        // Store bound methods for proper cleanup
+        this.boundToggle = () => this.setActive(!this.isActive);
+        this.boundTiltTest = () => this.startTiltTest(this.directionSelect.value);
+        this.boundRefresh = () => {
+            if (this.isActive) {
+                this.stopTiltTest();
+                this.analyze();
+            }
+        };
+        
+        this.toggleButton.addEventListener('click', this.boundToggle);
+        this.tiltButton.addEventListener('click', this.boundTiltTest);
+        
+        // Resized parts move the center of mass and the footprint, other variants change the weights
+        this.interactionManager.addEventListener('partschange', this.boundRefresh);
+        this.productCreator.addEventListener('variantchange', this.boundRefresh);
+    }
+    
+    setActive(active) {
+        this.isActive = active;
+        this.toggleButton.classList.toggle('active', active);
+        this.panel.classList.toggle('hidden', !active);
+        this.root.visible = active;
+        
+        if (active) {
+            this.analyze();
+        } else {
+            this.stopTiltTest();
+        }
+    }
+    
+    // Method to find the center of mass, the support polygon and the tipping angles
+    analyze() {
+        const parts = this.productCreator.getInteractiveParts();
+        this.result = parts.length > 0 ? this.productCreator.withAssembledParts(() => this.computeStability(parts)) : null;
+        
+        this.updateOverlay();
+        this.renderDetails();
+        
+        if (this.result) {
+            const { weakest } = this.result;
+            console.log(`Stability: weakest direction ${weakest.label}, tips at ${THREE.MathUtils.radToDeg(weakest.angle).toFixed(1)}°`);
+        }
+    }
+    
+    computeStability(parts) {
+        this.productGroup.updateMatrixWorld(true);
+        const groupInverse = this.productGroup.matrixWorld.clone().invert();
+        
+        const centerOfMass = new THREE.Vector3();
+        const points = [];
+        let floorY = Infinity;
+        let topY = -Infinity;
+        let mass = 0;
+        let estimated = true;
+        
+        parts.forEach(part => {
+            const partToGroup = groupInverse.clone().multiply(part.matrixWorld);
+            const estimate = this.productCreator.getPartEstimate(part);
+            const partMass = estimate.weight ?? estimate.volume * FALLBACK_DENSITY;
+            
+            estimated = estimated && estimate.weight !== null;
+            mass += partMass;
+            centerOfMass.addScaledVector(this.getGeometryCentroid(part.geometry).applyMatrix4(partToGroup), partMass);
+            
+            const position = part.geometry.attributes.position;
+            for (let index = 0; index < position.count; index++) {
+                const point = new THREE.Vector3().fromBufferAttribute(position, index).applyMatrix4(partToGroup);
+                floorY = Math.min(floorY, point.y);
+                topY = Math.max(topY, point.y);
+                points.push(point);
+            }
+        });
+        
+        centerOfMass.divideScalar(mass);
+        
+        // The product stands on its lowest vertices
+        const tolerance = (topY - floorY) * GROUND_TOLERANCE;
+        const support = this.convexHull(points.filter(point => point.y <= floorY + tolerance));
+        const height = centerOfMass.y - floorY;
+        
+        // Tilting towards a direction pivots about the footprint's outermost edge in that direction
+        const tip = (label, direction) => {
+            const reach = Math.max(...support.map(point => (point.x - centerOfMass.x) * direction.x + (point.z - centerOfMass.z) * direction.z));
+            const pivot = new THREE.Vector3(centerOfMass.x, floorY, centerOfMass.z).addScaledVector(direction, reach);
+            
+            return {
+                label,
+                angle: Math.atan2(reach, height),
+                pivot,
+                axis: new THREE.Vector3(0, 1, 0).cross(direction).normalize()
+            };
+        };
+        
+        const directions = {};
+        Object.entries(TIP_DIRECTIONS).forEach(([key, { label, direction }]) => {
+            directions[key] = tip(label, direction);
+        });
+        
+        // Every footprint edge is a candidate, the weakest need not be one of the four sides
+        let weakest = Object.values(directions).reduce((a, b) => (b.angle < a.angle ? b : a));
+        if (support.length >= 3) {
+            support.forEach((point, index) => {
+                const next = support[(index + 1) % support.length];
+                
+                // The hull runs counter-clockwise in X/Z, so the outward normal is on the right
+                const outward = new THREE.Vector3(next.z - point.z, 0, point.x - next.x).normalize();
+                const candidate = tip('Weakest edge', outward);
+                if (candidate.angle < weakest.angle) {
+                    weakest = candidate;
+                }
+            });
+        }
+        
+        return {
+            centerOfMass,
+            mass,
+            estimated,
+            floorY,
+            height,
+            support,
+            directions,
+            weakest,
+            stable: weakest.angle > 0
+        };
+    }
+    
+    // Method to get a geometry's center of volume from signed tetrahedra, like its volume
+    getGeometryCentroid(geometry) {
+        if (this.geometryCentroids.has(geometry)) {
+            return this.geometryCentroids.get(geometry).clone();
+        }
+        
+        const position = geometry.attributes.position;
+        const index = geometry.index;
+        const triangleCount = (index ? index.count : position.count) / 3;
+        const a = new THREE.Vector3();
+        const b = new THREE.Vector3();
+        const c = new THREE.Vector3();
+        const centroid = new THREE.Vector3();
+        let volume = 0;
+        
+        for (let triangle = 0; triangle < triangleCount; triangle++) {
+            const vertex = (corner) => index ? index.getX(triangle * 3 + corner) : triangle * 3 + corner;
+            a.fromBufferAttribute(position, vertex(0));
+            b.fromBufferAttribute(position, vertex(1));
+            c.fromBufferAttribute(position, vertex(2));
+            
+            const tetrahedron = a.dot(b.clone().cross(c)) / 6;
+            volume += tetrahedron;
+            centroid.addScaledVector(a.add(b).add(c), tetrahedron / 4);
+        }
+        
+        // Open meshes have no meaningful volume, fall back to the middle of their bounds
+        if (Math.abs(volume) > 1e-12) {
+            centroid.divideScalar(volume);
+        } else {
+            if (!geometry.boundingBox) {
+                geometry.computeBoundingBox();
+            }
+            geometry.boundingBox.getCenter(centroid);
+        }
+        
+        this.geometryCentroids.set(geometry, centroid);
+        return centroid.clone();
+    }
+    
+    // Method to get the convex hull of points on the X/Z plane, counter-clockwise (monotone chain)
+    convexHull(points) {
+        const sorted = [...points].sort((a, b) => a.x - b.x || a.z - b.z);
+        const cross = (o, a, b) => (a.x - o.x) * (b.z - o.z) - (a.z - o.z) * (b.x - o.x);
+        const lower = [];
+        const upper = [];
+        
+        sorted.forEach(point => {
+            while (lower.length >= 2 && cross(lower[lower.length - 2], lower[lower.length - 1], point) <= 0) {
+                lower.pop();
+            }
+            lower.push(point);
+        });
+        
+        sorted.reverse().forEach(point => {
+            while (upper.length >= 2 && cross(upper[upper.length - 2], upper[upper.length - 1], point) <= 0) {
+                upper.pop();
+            }
+            upper.push(point);
+        });
+        
+        const hull = lower.slice(0, -1).concat(upper.slice(0, -1));
+        return hull.length > 1 ? hull : sorted.slice(0, 1);
+    }
+    
+    updateOverlay() {
+        if (this.overlay) {
+            this.disposeObject(this.overlay);
+            this.root.remove(this.overlay);
+            this.overlay = null;
+        }
+        
+        if (!this.result) return;
+        
+        const { centerOfMass, floorY, support, stable } = this.result;
+        const color = stable ? STABLE_COLOR : UNSTABLE_COLOR;
+        const overlay = new THREE.Group();
+        
+        // Support polygon, slightly above the floor so it doesn't fight the part faces
+        const y = floorY + 0.002;
+        const outline = support.map(point => new THREE.Vector3(point.x, y, point.z));
+        overlay.add(this.onTop(new THREE.LineLoop(
+            new THREE.BufferGeometry().setFromPoints(outline),
+            new THREE.LineBasicMaterial({ color, depthTest: false, transparent: true })
+        )));
+        
+        if (support.length >= 3) {
+            // Shapes lie in X/Y, rotating them flat maps Y onto -Z
+            const shape = new THREE.Shape(support.map(point => new THREE.Vector2(point.x, -point.z)));
+            const fill = new THREE.Mesh(
+                new THREE.ShapeGeometry(shape),
+                new THREE.MeshBasicMaterial({ color, transparent: true, opacity: 0.25, depthTest: false, side: THREE.DoubleSide })
+            );
+            fill.rotation.x = -Math.PI / 2;
+            fill.position.y = y;
+            overlay.add(this.onTop(fill));
+        }
+        
+        const marker = new THREE.Mesh(
+            new THREE.SphereGeometry(0.04, 16, 12),
+            new THREE.MeshBasicMaterial({ color, depthTest: false, transparent: true })
+        );
+        marker.position.copy(centerOfMass);
+        overlay.add(this.onTop(marker));
+        
+        // Plumb line from the center of mass, kept vertical while the product tilts
+        this.plumbLine = this.onTop(new THREE.Line(
+            new THREE.BufferGeometry().setFromPoints([centerOfMass, centerOfMass]),
+            new THREE.LineDashedMaterial({ color, dashSize: 0.04, gapSize: 0.03, depthTest: false, transparent: true })
+        ));
+        this.plumbFoot = this.onTop(new THREE.Mesh(
+            new THREE.RingGeometry(0.03, 0.05, 24),
+            new THREE.MeshBasicMaterial({ color, depthTest: false, transparent: true, side: THREE.DoubleSide })
+        ));
+        overlay.add(this.plumbLine, this.plumbFoot);
+        
+        this.overlay = overlay;
+        this.root.add(overlay);
+        this.updatePlumbLine();
+    }
+    
+    onTop(object) {
+        // Draw over the product so the overlay stays visible inside and under it
+        object.renderOrder = 999;
+        return object;
+    }
+    
+    // Method to drop the plumb line from the center of mass to the floor plane along world down
+    updatePlumbLine() {
+        if (!this.overlay) return;
+        
+        const { centerOfMass, floorY, height } = this.result;
+        const down = new THREE.Vector3(0, -1, 0).applyQuaternion(this.root.quaternion.clone().invert());
+        const foot = centerOfMass.clone().addScaledVector(down, height / Math.max(-down.y, 1e-3));
+        foot.y = floorY + 0.002;
+        
+        this.plumbLine.geometry.setFromPoints([centerOfMass, foot]);
+        this.plumbLine.computeLineDistances();
+        this.plumbFoot.position.copy(foot);
+        this.plumbFoot.quaternion.setFromUnitVectors(new THREE.Vector3(0, 0, 1), new THREE.Vector3(0, 1, 0));
+        
+        // Past the tipping angle the foot leaves the footprint
+        const outside = !this.isInsideSupport(foot);
+        this.plumbFoot.material.color.set(outside ? UNSTABLE_COLOR : (this.result.stable ? STABLE_COLOR : UNSTABLE_COLOR));
+    }
+    
+    isInsideSupport(point) {
+        const support = this.result.support;
+        if (support.length < 3) return false;
+        
+        return support.every((a, index) => {
+            const b = support[(index + 1) % support.length];
+            return (b.x - a.x) * (point.z - a.z) - (b.z - a.z) * (point.x - a.x) >= -1e-9;
+        });
+    }
+    
+    renderDetails() {
+        if (!this.result) {
+            this.detailsElement.replaceChildren();
+            return;
+        }
+        
+        const { mass, estimated, height, directions, weakest, stable } = this.result;
+        const formatAngle = ({ angle }) => angle > 0 ? `${THREE.MathUtils.radToDeg(angle).toFixed(1)}°` : 'Tips over';
+        
+        const rows = [
+            ['Status', stable ? 'Stable' : 'Unstable: center of mass outside the footprint'],
+            ['Center of mass', `${height.toFixed(2)} m above the floor`],
+            ['Weight', estimated ? `${mass.toFixed(1)} kg` : 'Not known, uniform density assumed'],
+            ...Object.values(directions).map(direction => [`${direction.label} tip`, formatAngle(direction)])
+        ];
+        
+        // Only worth its own row when a diagonal edge is weaker than the four sides
+        if (!Object.values(directions).includes(weakest)) {
+            rows.push([weakest.label, formatAngle(weakest)]);
+        }
+        
+        this.detailsElement.replaceChildren(...rows.flatMap(([label, value]) => {
+            const term = document.createElement('dt');
+            term.textContent = label;
+            const detail = document.createElement('dd');
+            detail.textContent = value;
+            return [term, detail];
+        }));
+    }
+    
+    // Method to rotate the product about its support edge up to the tipping angle and back
+    startTiltTest(key) {
+        if (!this.isActive) {
+            this.setActive(true);
+        }
+        if (!this.result) return;
+        
+        const tip = key === 'weakest' ? this.result.weakest : this.result.directions[key];
+        if (!tip) {
+            throw new Error(`Unknown tilt direction: ${key}`);
+        }
+        
+        this.stopTiltTest();
+        
+        // An unstable product already falls that way, there is nothing to tilt
+        if (tip.angle <= 0) {
+            console.warn(`Tilt test: the product already tips ${tip.label.toLowerCase()}`);
+            return;
+        }
+        
+        // Rest the product while it tilts so the floating motion doesn't move the pivot
+        const group = this.productGroup;
+        const floating = group.userData.floating;
+        group.userData.floating = false;
+        group.position.y = group.userData.originalY ?? group.position.y;
+        
+        this.tiltTest = {
+            tip,
+            elapsed: 0,
+            floating,
+            position: group.position.clone(),
+            quaternion: group.quaternion.clone()
+        };
+        this.tiltButton.classList.add('active');
+    }
+    
+    stopTiltTest() {
+        if (!this.tiltTest) return;
+        
+        const { floating, position, quaternion } = this.tiltTest;
+        this.productGroup.position.copy(position);
+        this.productGroup.quaternion.copy(quaternion);
+        this.productGroup.userData.floating = floating;
+        
+        this.tiltTest = null;
+        this.tiltButton.classList.remove('active');
+    }
+    
+    updateTiltTest(deltaTime) {
+        const test = this.tiltTest;
+        test.elapsed += deltaTime;
+        
+        const { elapsed, tip } = test;
+        let progress;
+        if (elapsed < TILT_DURATION) {
+            progress = elapsed / TILT_DURATION;
+            progress = progress * progress * (3 - 2 * progress);
+        } else if (elapsed < TILT_DURATION + TILT_HOLD) {
+            progress = 1;
+        } else if (elapsed < TILT_DURATION + TILT_HOLD + TILT_RETURN) {
+            progress = 1 - (elapsed - TILT_DURATION - TILT_HOLD) / TILT_RETURN;
+        } else {
+            this.stopTiltTest();
+            return;
+        }
+        
+        // Rotate about the pivot line in world space, keeping the pivot itself in place
+        const group = this.productGroup;
+        const pivot = tip.pivot.clone().multiply(group.scale).applyQuaternion(test.quaternion).add(test.position);
+        const axis = tip.axis.clone().applyQuaternion(test.quaternion);
+        const rotation = new THREE.Quaternion().setFromAxisAngle(axis, tip.angle * progress);
+        
+        group.quaternion.copy(rotation).multiply(test.quaternion);
+        group.position.copy(test.position).sub(pivot).applyQuaternion(rotation).add(pivot);
+    }
+    
+    disposeObject(root) {
+        root.traverse(object => {
+            if (object.geometry) {
+                object.geometry.dispose();
+            }
+            if (object.material) {
+                object.material.dispose();
+            }
+        });
+    }
+    
+    hasRunningAnimation() {
+        return Boolean(this.tiltTest);
+    }
+    
+    // Method to be called in the animation loop, after the floating and transition updates
+    update(deltaTime) {
+        if (this.tiltTest) {
+            this.updateTiltTest(deltaTime);
+        }
+        
+        if (!this.isActive) return;
+        
+        // Follow the product's floating motion, transition scaling and tilt
+        this.root.position.copy(this.productGroup.position);
+        this.root.quaternion.copy(this.productGroup.quaternion);
+        this.root.scale.copy(this.productGroup.scale);
+        
+        this.updatePlumbLine();
+    }
+    
+    // Clean up method
+    destroy() {
+        this.setActive(false);
+        this.result = null;
+        this.updateOverlay();
+        this.scene.remove(this.root);
+        
+        this.toggleButton.removeEventListener('click', this.boundToggle);
+        this.tiltButton.removeEventListener('click', this.boundTiltTest);
+        this.interactionManager.removeEventListener('partschange', this.boundRefresh);
+        this.productCreator.removeEventListener('variantchange', this.boundRefresh);
+    }
+}
+
+// ES6 export (already done above) 
\ No newline at end of file
@@ -0,0 +1,224 @@
+/**
+ * Viewer Template Module
+ */
+
+// Markup of one viewer instance. Every instance gets its own copy in a shadow root,
+// so the element ids the modules look up are unique per viewer
+export const VIEWER_TEMPLATE = `
+<div id="app">
+    <div id="canvas-container">
+        <canvas id="three-canvas"></canvas>
+    </div>
+    
+    <div id="ui-overlay">
+        <div id="product-info">
+            <h1>3D Chair Viewer</h1>
+            <p>Click on different parts to explore the product</p>
+            <dl id="product-totals"></dl>
+            <div id="product-picker"></div>
+        </div>
+        
+        <div id="part-info" class="hidden">
+            <h3 id="part-name">Chair Part</h3>
+            <span id="part-count"></span>
+            <p id="part-description" class="hidden"></p>
+            <dl id="part-details"></dl>
+            <button id="isolate-part">Isolate</button>
+            <button id="close-info">&times;</button>
+        </div>
+        
+        <div id="side-panel">
+            <div id="material-switcher" class="hidden">
+                <h3>Materials</h3>
+                <div id="material-slots"></div>
+            </div>
+            
+            <div id="stability-panel" class="hidden">
+                <h3>Stability</h3>
+                <dl id="stability-details"></dl>
+                <div id="tilt-controls">
+                    <select id="tilt-direction" title="Tilt direction">
+                        <option value="weakest">Weakest</option>
+                        <option value="front">Front</option>
+                        <option value="back">Back</option>
+                        <option value="left">Left</option>
+                        <option value="right">Right</option>
+                    </select>
+                    <button id="tilt-test" title="Tilt the product about its support edge up to the tipping angle">Tilt Test</button>
+                </div>
+            </div>
+            
+            <div id="validation-panel" class="hidden">
+                <h3>Assembly Check</h3>
+                <p id="validation-summary"></p>
+                <ul id="validation-list"></ul>
+                <label id="validation-tolerance-label">Tolerance
+                    <input type="number" id="validation-tolerance" min="0" step="0.5"> mm
+                </label>
+            </div>
+            
+            <div id="environment-panel">
+                <h3>Environment</h3>
+                <div class="environment-row">
+                    <select id="environment-source" title="Light the product with">
+                        <option value="studio">Studio</option>
+                        <option value="file" id="environment-file-option" hidden>File</option>
+                        <option value="none">Lights only</option>
+                    </select>
+                    <button id="load-environment" title="Light the product with an HDR or EXR panorama">Load HDR</button>
+                    <input type="file" id="environment-file" accept=".hdr,.exr" hidden>
+                </div>
+                <label>Intensity
+                    <input type="range" id="environment-intensity" min="0" max="3" step="0.05">
+                </label>
+                <label>Rotation
+                    <input type="range" id="environment-rotation" min="0" max="360" step="1">
+                </label>
+                <div class="environment-row">
+                    <select id="background-mode" title="Background">
+                        <option value="gradient">Gradient</option>
+                        <option value="solid">Solid color</option>
+                        <option value="environment">Environment</option>
+                        <option value="transparent">Transparent</option>
+                    </select>
+                    <input type="color" id="background-color" title="Background color">
+                </div>
+            </div>
+            
+            <div id="outliner">
+                <button id="outliner-toggle">Parts <span id="outliner-count"></span></button>
+                <ul id="outliner-list"></ul>
+            </div>
+        </div>
+        
+        <div id="configurator" class="hidden">
+            <h3>Configure</h3>
+            <label>Seat width <output data-output="seatWidth"></output>
+                <input type="range" data-parameter="seatWidth" min="1.2" max="3" step="0.05">
+            </label>
+            <label>Seat depth <output data-output="seatDepth"></output>
+                <input type="range" data-parameter="seatDepth" min="1.2" max="3" step="0.05">
+            </label>
+            <label>Seat height <output data-output="seatHeight"></output>
+                <input type="range" data-parameter="seatHeight" min="0.6" max="1.6" step="0.05">
+            </label>
+            <label>Leg thickness <output data-output="legThickness"></output>
+                <input type="range" data-parameter="legThickness" min="0.04" max="0.24" step="0.01">
+            </label>
+            <label>Backrest height <output data-output="backrestHeight"></output>
+                <input type="range" data-parameter="backrestHeight" min="0.8" max="2.5" step="0.05">
+            </label>
+            <label>Support bars <output data-output="supportBars"></output>
+                <input type="range" data-parameter="supportBars" min="0" max="8" step="1">
+            </label>
+            <label class="toggle">
+                <input type="checkbox" data-parameter="armrests"> Armrests
+            </label>
+        </div>
+        
+        <div id="controls">
+            <select id="render-mode" title="Render mode">
+                <option value="shaded">Shaded</option>
+                <option value="wireframe">Wireframe</option>
+                <option value="xray">X-ray</option>
+                <option value="normals">Normals</option>
+                <option value="clay">Clay</option>
+            </select>
+            <div id="effects-controls">
+                <label title="Darken where parts meet each other and the ground">
+                    <input type="checkbox" id="effect-ssao"> AO
+                </label>
+                <label title="Subtle glow around bright highlights">
+                    <input type="checkbox" id="effect-bloom"> Bloom
+                </label>
+                <select id="antialias-mode" title="Edge smoothing">
+                    <option value="msaa">MSAA</option>
+                    <option value="fxaa">FXAA</option>
+                    <option value="smaa">SMAA</option>
+                    <option value="none">No AA</option>
+                </select>
+            </div>
+            <button id="toggle-rotation">Pause Rotation</button>
+            <button id="reset-camera">Reset View</button>
+            <div id="explode-controls">
+                <button id="toggle-explode">Explode</button>
+                <input type="range" id="explode-amount" min="0" max="1" step="0.05" title="Explode amount">
+            </div>
+            <div id="section-controls">
+                <button id="toggle-section">Section</button>
+                <select id="section-axis" title="Section plane orientation">
+                    <option value="x">X</option>
+                    <option value="y">Y</option>
+                    <option value="z">Z</option>
+                    <option value="camera">View</option>
+                </select>
+                <input type="range" id="section-position" min="0" max="1" step="0.01" title="Section position">
+                <button id="flip-section" title="Cut away the other half">Flip</button>
+            </div>
+            <div id="measure-controls">
+                <button id="toggle-measure" title="Click two points on the product to measure between them">Measure</button>
+                <button id="toggle-dimensions">Dimensions</button>
+                <select id="measure-units" title="Measurement units">
+                    <option value="m">m</option>
+                    <option value="cm">cm</option>
+                    <option value="in">in</option>
+                </select>
+                <button id="clear-measurements">Clear</button>
+            </div>
+            <div id="joint-controls" class="hidden">
+                <button id="demo-motion" title="Move every joint through its range">Demo Motion</button>
+                <button id="reset-joints" title="Put the moving parts back in their rest positions">Reset Pose</button>
+            </div>
+            <button id="toggle-stability" title="Show the center of mass, footprint and tipping angles">Stability</button>
+            <button id="validate-assembly" title="Check for overlapping and floating parts">Check Assembly</button>
+            <div id="export-controls">
+                <select id="export-format" title="Export format">
+                    <option value="glb">GLB</option>
+                    <option value="gltf">glTF</option>
+                    <option value="obj">OBJ</option>
+                    <option value="stl">STL</option>
+                </select>
+                <button id="export-product">Export</button>
+            </div>
+            <div id="bom-controls">
+                <select id="bom-format" title="Bill of materials format">
+                    <option value="csv">CSV</option>
+                    <option value="json">JSON</option>
+                </select>
+                <button id="export-bom" title="Download the bill of materials">BOM</button>
+            </div>
+            <div id="screenshot-controls">
+                <select id="screenshot-size" title="Image size in pixels. Images over 4096 pixels a side are drawn in tiles, without AO and bloom">
+                    <option value="1920x1080">1920 × 1080</option>
+                    <option value="3840x2160">4K</option>
+                    <option value="7680x4320">8K, no AO or bloom</option>
+                    <option value="custom">Custom</option>
+                </select>
+                <input type="number" id="screenshot-width" class="hidden" min="1" max="16384" title="Image width in pixels">
+                <input type="number" id="screenshot-height" class="hidden" min="1" max="16384" title="Image height in pixels">
+                <label title="Leave out the ground and background for a cut-out product shot">
+                    <input type="checkbox" id="screenshot-transparent"> Transparent
+                </label>
+                <button id="save-image">Save Image</button>
+            </div>
+            <div id="batch-controls">
+                <button id="toggle-batching" title="Draw repeated parts as instanced meshes">Batch Parts</button>
+                <span id="draw-calls"></span>
+            </div>
+            <button id="load-model">Load Model</button>
+            <input type="file" id="model-file" accept=".glb,.gltf" hidden>
+        </div>
+    </div>
+    
+    <div id="loading" class="hidden">
+        <div class="spinner"></div>
+        <p id="loading-text">Loading 3D Model...</p>
+        <div id="loading-progress" class="hidden">
+            <div class="progress-track">
+                <div id="loading-progress-bar"></div>
+            </div>
+            <span id="loading-percent">0%</span>
+        </div>
+    </div>
+</div>
+`;